@@ -5,24 +5,293 @@
  * - Open http://localhost:5173/pages/game/game.html in dev server
  * - Check console for: [game] game.js loaded and [game] DOMContentLoaded
  * - Verify no new errors appear
- * - Check console for player turn state: isMyTurn === true, phase === 'BEFORE_DRAW'
+ * - Check console for the turn: currentSeat === firstPlayer, turnPhase === 'BEFORE_DRAW'
+ * - Check console for [match] deal start with dealNumber === 1
+ * - When you are the first player, a prompt shows the bottom 3 cards;
+ *   after confirming, the hand shows 13 cards
+ * - Red threes dealt to you appear in the red-threes area, not in the hand
+ * - Discarding your last card without a canasta asks before closing on minus
+ * - Reload mid-deal: a prompt offers "Resume last game" and restores the hand
+ * - The other three seats are bots: after your discard they draw, meld and
+ *   discard in turn ([bot] lines in the console); ?botDelay=0 speeds them up
+ * - Sort cycles Rank / Suit / Melds; the order holds after drawing and
+ *   selected cards stay selected
+ * - The Hint panel lists your legal melds, additions and pile keys;
+ *   clicking one selects those cards in your hand
+ * - Drag a card (or the selected cards) onto a lit meld slot, the next
+ *   empty slot or the discard pile; only legal targets light up. Dropping
+ *   inside the hand moves the cards there. Works with mouse and touch
+ * - Both meld panels follow the game: canastas collapse into a stack with
+ *   a red (clean) / black (dirty) marker or a WILD badge, every meld shows
+ *   its points, and a panel adds rows once its melds fill the 20 slots
+ * - The deck shows the cards left to draw, the discard pile its top card
+ *   and size; after a 3 is discarded a lock shows the reason and turns left.
+ *   Clicking the discard pile lists all of its cards, top card first
  */
 
 'use strict';
 
-import { startMyTurn, playerTurnState, TURN_PHASES } from '../../src/player/playerTurn.js';
-import { initPlayerUI } from '../../src/player/playerUI.js';
+import { initPlayerUI, refreshPlayerUI } from '../../src/player/playerUI.js';
+import { initHintPanel, refreshHintPanel } from '../../src/player/hintPanel.js';
+import { renderMeldPanels } from '../../src/player/meldPanels.js';
+import { initPileWidgets, renderPiles } from '../../src/player/pileWidgets.js';
+import { clearSelection, playerHandState, getDisplayedHand } from '../../src/player/playerHand.js';
+import {
+  setGameState,
+  getGameState,
+  getLocalSeat,
+  setActionLog,
+  getActionLog
+} from '../../src/player/gameSession.js';
+import { TURN_PHASES } from '../../src/player/playerTurn.js';
+import { saveGame, loadGame, hasSavedGame, clearSavedGame } from '../../src/player/gameStorage.js';
+import { createBotDriver, DEFAULT_BOT_DELAY } from '../../src/player/botPlayer.js';
+import { STRATEGIES } from '../../src/player/botStrategies.js';
+import { createSnapshot } from '../../src/domain/snapshot.js';
+import {
+  createActionLog,
+  createDealRecord,
+  dispatchRecord,
+  replayLog,
+  ACTION_TYPES
+} from '../../src/player/actionLog.js';
+import { createMatch, onMatchEvent, startDeal, endDeal, MATCH_EVENTS } from '../../src/domain/match.js';
+import { getDeck } from '../../src/domain/cardMapping.js';
+import { createRandom, createSeed } from '../../src/domain/random.js';
+import { shuffleDeck, cutForDealer } from '../../src/domain/deck.js';
+import { createPreDeal, resolvePreDeal, botChooseBottomCards } from '../../src/domain/preDeal.js';
+import { createActionRecord } from '../../src/domain/actionRecords.js';
+import { createHandDisplay } from '../../src/shared/ui/cardDisplay.js';
+import { showBottomCardsPrompt } from '../../src/shared/ui/bottomCardsPrompt.js';
+import { showConfirmPrompt } from '../../src/shared/ui/confirmPrompt.js';
 
 console.log('[game] game.js loaded');
 
-document.addEventListener('DOMContentLoaded', () => {
+// Match being played on this page
+let match = null;
+
+// Plays every seat but the local one
+const bots = createBotDriver({
+  getState: getGameState,
+  getLog: getActionLog,
+  isBotSeat: seat => seat !== getLocalSeat(),
+  strategy: STRATEGIES.heuristic,
+  delay: getBotDelay(),
+  onAction: (result, record) => {
+    console.log('[bot]', record.type, 'seat', record.seat, result.ok ? 'ok' : result.message);
+    renderTable();
+    refreshPlayerUI();
+    autosave();
+    if (result.dealOver) finishDeal(result);
+  }
+});
+
+/**
+ * Read the bot delay from the page URL (?botDelay=ms)
+ * @returns {number}
+ */
+function getBotDelay() {
+  const param = new URLSearchParams(window.location.search).get('botDelay');
+  const delay = Number(param);
+  return param !== null && delay >= 0 ? delay : DEFAULT_BOT_DELAY;
+}
+
+/**
+ * Render the local player's hand from state
+ * Laid-down red threes are passed along so they show in the red-threes area.
+ */
+function renderPlayerHand() {
+  const handContainer = document.getElementById('player-hand');
+  if (!handContainer) return;
+
+  handContainer.querySelectorAll('.hand-display').forEach((el) => {
+    if (el._resizeObserver) el._resizeObserver.disconnect();
+    el.remove();
+  });
+  const state = getGameState();
+  const seat = getLocalSeat();
+  const hand = state ? state.hands[seat] : [];
+  const redThrees = state ? state.redThrees[seat] : [];
+  handContainer.appendChild(createHandDisplay([...redThrees, ...getDisplayedHand(hand)]));
+  handContainer.querySelectorAll('[data-card-id]').forEach((el) => {
+    el.classList.toggle('card-selected', playerHandState.selectedIds.has(el.dataset.cardId));
+  });
+
+  document.getElementById('hand-card-count').textContent = hand.length;
+  document.getElementById('hand-red3-count').textContent = redThrees.length;
+
+  // Hints follow the hand
+  refreshHintPanel();
+}
+
+/**
+ * Render everything that follows the game state: the hand, both meld
+ * panels, the stock and the discard pile
+ */
+function renderTable() {
+  renderPlayerHand();
+  renderMeldPanels();
+  renderPiles();
+}
+
+/**
+ * Shuffle, run the bottom-cards privilege, deal and run the pre-play phase
+ * The local player gets the prompt when they are first; other seats use the bot decision.
+ * @param {Object} payload - DEAL_START payload
+ */
+async function dealCards(payload) {
+  // The state waits in PRE_DEAL while the first player chooses
+  const log = createActionLog({ dealer: payload.dealer, teamScores: payload.scores });
+  const { state: gameState } = replayLog(log);
+  clearSelection();
+  setActionLog(log);
+  setGameState(gameState);
+
+  const deck = shuffleDeck(getDeck(), createRandom(payload.seed));
+  const preDeal = createPreDeal(deck, payload.dealer);
+  const decide = preDeal.firstPlayer === getLocalSeat()
+    ? showBottomCardsPrompt
+    : botChooseBottomCards;
+
+  const deal = await resolvePreDeal(preDeal, decide);
+  if (!deal.ok) {
+    console.warn('[game] deal failed:', deal.message);
+    return;
+  }
+
+  dispatchRecord(log, gameState, createDealRecord(deal));
+  const prePlay = dispatchRecord(log, gameState, createActionRecord(ACTION_TYPES.PRE_PLAY, null));
+  if (!prePlay.ok) {
+    console.warn('[game] pre-play failed:', prePlay.message);
+    return;
+  }
+  console.log('[game] red threes laid:', prePlay.laid.map(cards => cards.length), 'first discard:', prePlay.card.id);
+
+  renderTable();
+}
+
+/**
+ * Save the running game so a reload can resume it
+ * Only saved once play has started; the pre-deal prompt cannot be resumed.
+ */
+function autosave() {
+  const state = getGameState();
+  if (!match || !state || state.turnPhase === TURN_PHASES.PRE_DEAL) return;
+
+  const result = saveGame(createSnapshot({ match, state, log: getActionLog() }));
+  if (!result.ok) console.warn('[game]', result.message);
+}
+
+/**
+ * Subscribe the page to the match events
+ * @param {Object} match
+ */
+function bindMatchEvents(match) {
+  onMatchEvent(match, MATCH_EVENTS.DEAL_START, async (payload) => {
+    console.log('[match] deal start', payload);
+
+    bots.stop();
+    await dealCards(payload);
+
+    // The first player's turn begins once the discard pile is started
+    const state = getGameState();
+    console.log('[player]', { currentSeat: state.currentSeat, turnPhase: state.turnPhase });
+    refreshPlayerUI();
+    autosave();
+    bots.schedule();
+  });
+
+  onMatchEvent(match, MATCH_EVENTS.DEAL_END, (payload) => {
+    console.log('[match] deal end', payload);
+  });
+
+  onMatchEvent(match, MATCH_EVENTS.MATCH_END, (payload) => {
+    console.log('[match] match end', payload);
+    clearSavedGame();
+  });
+}
+
+/**
+ * Record the finished deal and start the next one
+ * @param {Object} result - Result of the action that ended the deal
+ */
+function finishDeal(result) {
+  const end = endDeal(match, result.score);
+  if (end.ok && !end.matchOver) {
+    startDeal(match);
+  }
+}
+
+/**
+ * Offer to resume the saved game and restore it when accepted
+ * A game saved right after its deal ended is resumed by recording that
+ * deal and moving on to the next one.
+ * @returns {Promise<boolean>} True when a saved game was resumed
+ */
+async function resumeSavedGame() {
+  if (!hasSavedGame()) return false;
+
+  const resume = await showConfirmPrompt({
+    title: 'Resume last game',
+    message: 'A game in progress was saved. Resume it or start a new game?',
+    confirmLabel: 'Resume last game',
+    cancelLabel: 'New game'
+  });
+  if (!resume) {
+    clearSavedGame();
+    return false;
+  }
+
+  const saved = loadGame();
+  if (!saved.ok || !saved.state) {
+    console.warn('[game] could not resume:', saved.message);
+    clearSavedGame();
+    return false;
+  }
+
+  match = saved.match;
+  bindMatchEvents(match);
+  setActionLog(saved.log);
+  setGameState(saved.state);
+  renderTable();
+  refreshPlayerUI();
+  console.log('[game] resumed game saved at', saved.savedAt);
+
+  if (saved.state.turnPhase === TURN_PHASES.DEAL_OVER) {
+    finishDeal(saved.state.result);
+  } else {
+    bots.schedule();
+  }
+  return true;
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
   console.log('[game] DOMContentLoaded');
-  
-  // Initialize player turn state
-  startMyTurn();
-  playerTurnState.phase = TURN_PHASES.BEFORE_DRAW;
-  console.log('[player]', playerTurnState);
-  
+
   // Initialize player UI (buttons, etc)
-  initPlayerUI();
+  initPlayerUI({
+    onStateChange: () => {
+      renderTable();
+      autosave();
+      bots.schedule();
+    },
+    onDealOver: finishDeal
+  });
+  initPileWidgets();
+  initHintPanel({
+    onSelect: () => {
+      renderPlayerHand();
+      refreshPlayerUI();
+    }
+  });
+
+  if (await resumeSavedGame()) return;
+
+  // Cut for the first dealer with the same seed the match uses
+  const seed = createSeed();
+  const { dealer } = cutForDealer(getDeck(), createRandom(seed));
+  match = createMatch({ seed, firstDealer: dealer });
+  bindMatchEvents(match);
+
+  startDeal(match);
 });
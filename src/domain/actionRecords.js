@@ -0,0 +1,27 @@
+/**
+ * Action Records
+ * Serialisable descriptions of everything that changes a deal's state.
+ * Records hold only plain data (types, seats, card IDs, dealt cards), so
+ * a deal can be stored as JSON and rebuilt by replaying them in order.
+ */
+
+export const ACTION_TYPES = {
+  DEAL: 'DEAL',
+  PRE_PLAY: 'PRE_PLAY',
+  DRAW: 'DRAW',
+  TAKE_DISCARD: 'TAKE_DISCARD',
+  MELD: 'MELD',
+  ADD_TO_MELD: 'ADD_TO_MELD',
+  DISCARD: 'DISCARD'
+};
+
+/**
+ * Create an action record
+ * @param {string} type - One of ACTION_TYPES
+ * @param {number|null} seat - Acting seat (null for table actions like the deal)
+ * @param {Object} payload - Action data (card IDs, options, dealt cards)
+ * @returns {Object} { type, seat, ...payload }
+ */
+export function createActionRecord(type, seat, payload = {}) {
+  return { type, seat, ...payload };
+}
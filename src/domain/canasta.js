@@ -0,0 +1,134 @@
+/**
+ * Canasta
+ * Classifies melds (plain meld / clean, dirty or wild canasta) and
+ * enforces what can still be added once a meld becomes a canasta (section 11)
+ */
+
+import { RANKS } from './cardMapping.js';
+import { isJoker, isTwo, isWildCard } from './cardRules.js';
+import { meldReason, validateSetMeld, validateWildMeld } from './meldRules.js';
+import { canExtendRun } from './runRules.js';
+import { MELD_TYPES } from './melds.js';
+
+export const CANASTA_SIZE = 7;
+export const WILD_CANASTA_MAJORITY = 4;
+
+export const MELD_KINDS = {
+  MELD: 'MELD',
+  CLEAN_CANASTA: 'CLEAN_CANASTA',
+  DIRTY_CANASTA: 'DIRTY_CANASTA',
+  SMALL_WILD_CANASTA: 'SMALL_WILD_CANASTA',
+  BIG_WILD_CANASTA: 'BIG_WILD_CANASTA'
+};
+
+export const CANASTA_ERRORS = {
+  WILD_CANASTA_CLOSED: 'WILD_CANASTA_CLOSED',
+  NO_WILDS_AFTER_CANASTA: 'NO_WILDS_AFTER_CANASTA',
+  WRONG_RANK: 'WRONG_RANK',
+  NO_CARDS: 'NO_CARDS'
+};
+
+/**
+ * Classify a meld
+ * @param {Object} meld - Meld object { type, cards, rank? }
+ * @returns {Object} { kind, isCanasta, isWildCanasta, isAces, wildCount, jokerCount, twoCount }
+ */
+export function classifyMeld(meld) {
+  const cards = meld.cards;
+  const jokerCount = cards.filter(isJoker).length;
+  const twoCount = cards.filter(isTwo).length;
+  const wildCount = jokerCount + twoCount;
+  const isCanasta = cards.length >= CANASTA_SIZE;
+  const allWild = cards.length > 0 && wildCount === cards.length;
+  const isAces = meld.type === MELD_TYPES.SET && meld.rank === RANKS.ACE;
+
+  let kind = MELD_KINDS.MELD;
+  if (isCanasta && allWild) {
+    kind = jokerCount >= WILD_CANASTA_MAJORITY
+      ? MELD_KINDS.BIG_WILD_CANASTA
+      : MELD_KINDS.SMALL_WILD_CANASTA;
+  } else if (isCanasta) {
+    kind = wildCount === 0 ? MELD_KINDS.CLEAN_CANASTA : MELD_KINDS.DIRTY_CANASTA;
+  }
+
+  return {
+    kind,
+    isCanasta,
+    isWildCanasta: kind === MELD_KINDS.SMALL_WILD_CANASTA || kind === MELD_KINDS.BIG_WILD_CANASTA,
+    isAces,
+    wildCount,
+    jokerCount,
+    twoCount
+  };
+}
+
+/**
+ * Check the post-canasta restrictions for adding cards
+ * - nothing can be added to a wild canasta
+ * - once a meld has 7 cards, no more wilds can be added
+ * @param {Object} meld - Meld object
+ * @param {Array} cards - Cards to add, in the order they are laid down
+ * @returns {Array} List of reasons (empty when allowed)
+ */
+function checkCanastaLimits(meld, cards) {
+  if (classifyMeld(meld).isWildCanasta) {
+    return [meldReason(
+      CANASTA_ERRORS.WILD_CANASTA_CLOSED,
+      'Nothing can be added to a wild canasta'
+    )];
+  }
+
+  let size = meld.cards.length;
+  for (let index = 0; index < cards.length; index++) {
+    if (size >= CANASTA_SIZE && isWildCard(cards[index])) {
+      return [meldReason(
+        CANASTA_ERRORS.NO_WILDS_AFTER_CANASTA,
+        'Wild cards cannot be added to a canasta',
+        { index }
+      )];
+    }
+    size += 1;
+  }
+
+  return [];
+}
+
+/**
+ * Check if cards can be added to an existing meld
+ * @param {Object} meld - Meld object { type, cards, rank?, suit?, direction? }
+ * @param {Array} cards - Cards to add, in the order they are laid down
+ * @returns {Object} { ok, reasons, meld? } with the extended meld when ok
+ */
+export function canAddToMeld(meld, cards) {
+  if (cards.length === 0) {
+    return { ok: false, reasons: [meldReason(CANASTA_ERRORS.NO_CARDS, 'No cards to add')] };
+  }
+
+  const limitReasons = checkCanastaLimits(meld, cards);
+  if (limitReasons.length > 0) {
+    return { ok: false, reasons: limitReasons };
+  }
+
+  const combined = [...meld.cards, ...cards];
+  let validation;
+
+  if (meld.type === MELD_TYPES.RUN) {
+    validation = canExtendRun(meld, cards);
+  } else if (meld.type === MELD_TYPES.WILD) {
+    validation = validateWildMeld(combined);
+  } else {
+    validation = validateSetMeld(combined);
+    if (validation.ok && validation.rank !== meld.rank) {
+      validation = {
+        ok: false,
+        reasons: [meldReason(CANASTA_ERRORS.WRONG_RANK, 'Cards must match the rank of the meld')]
+      };
+    }
+  }
+
+  if (!validation.ok) {
+    return { ok: false, reasons: validation.reasons };
+  }
+
+  return { ok: true, reasons: [], meld: { ...meld, cards: combined } };
+}
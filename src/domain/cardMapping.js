@@ -1,6 +1,8 @@
 /**
- * Card Mapping for Vector Cards (Version 3.2)
- * Maps game card representation to SVG file paths
+ * Card Mapping
+ * Suits, ranks and the plain card objects the domain plays with.
+ * Cards carry no presentation data; the UI maps them to images
+ * (see shared/ui/cardAssets.js), so the domain also runs under Node.
  */
 
 const SUITS = {
@@ -28,67 +30,49 @@ const RANKS = {
 
 const JOKER = 'JOKER';
 
-/**
- * Get SVG path for a card
- * @param {string} suit - HEART, DIAMOND, CLUB, SPADE, or JOKER
- * @param {number} rank - 1-13 or joker number (1, 2, 3)
- * @returns {string} - Path to SVG file
- */
-export function getCardSvgPath(suit, rank) {
-  const BASE_PATH = '/assets/cards/vector_cards/FACES (PRINTABLE)/STANDARD (PRINTABLE)/Single Cards (One Per FIle)';
-  
-  if (suit === JOKER) {
-    return `${BASE_PATH}/JOKER-${rank}.svg`;
-  }
-  
-  const rankNames = {
-    1: '1',
-    2: '2',
-    3: '3',
-    4: '4',
-    5: '5',
-    6: '6',
-    7: '7',
-    8: '8',
-    9: '9',
-    10: '10',
-    11: '11-JACK',
-    12: '12-QUEEN',
-    13: '13-KING'
-  };
-  
-  const fileName = `${suit}-${rankNames[rank]}.svg`;
-  return `${BASE_PATH}/${fileName}`;
-}
+// Codes shared by card IDs and the card notation (see notation.js)
+const SUIT_LETTERS = {
+  [SUITS.HEART]: 'h',
+  [SUITS.DIAMOND]: 'd',
+  [SUITS.CLUB]: 'c',
+  [SUITS.SPADE]: 's',
+  [JOKER]: 'j'
+};
+
+const RANK_CODES = {
+  [RANKS.ACE]: 'A',
+  [RANKS.JACK]: 'J',
+  [RANKS.QUEEN]: 'Q',
+  [RANKS.KING]: 'K'
+};
 
 // Counter for unique card instances
 let cardIdCounter = 0;
 
 /**
- * Generate unique card ID (e.g., "As_1", "Kh_2", "J1_3")
+ * Generate unique card ID (e.g., "As_1", "Kh_2", "10d_3"; jokers "1j_4")
+ * Jokers use their picture number as the rank code.
  * @param {string} suit
  * @param {number} rank
  * @returns {string}
  */
 function generateCardId(suit, rank) {
   cardIdCounter += 1;
-  const suitCode = suit === JOKER ? 'J' : suit[0]; // H, D, C, S, or J
-  const rankCode = suit === JOKER ? rank : (rank === 1 ? 'A' : (rank === 11 ? 'J' : (rank === 12 ? 'Q' : (rank === 13 ? 'K' : rank))));
-  return `${rankCode}${suitCode.toLowerCase()}_${cardIdCounter}`;
+  const rankCode = suit === JOKER ? rank : (RANK_CODES[rank] || rank);
+  return `${rankCode}${SUIT_LETTERS[suit]}_${cardIdCounter}`;
 }
 
 /**
  * Create card object from suit and rank
  * @param {string} suit
  * @param {number} rank
- * @returns {object} - Card object with suit, rank, svgPath, and unique id
+ * @returns {object} - Card object with suit, rank, and unique id
  */
 export function createCard(suit, rank) {
   return {
     id: generateCardId(suit, rank),
     suit,
     rank,
-    svgPath: getCardSvgPath(suit, rank),
     isJoker: suit === JOKER
   };
 }
@@ -117,4 +101,4 @@ export function getDeck() {
   return deck;
 }
 
-export { SUITS, RANKS, JOKER };
+export { SUITS, RANKS, JOKER, SUIT_LETTERS, RANK_CODES };
@@ -0,0 +1,85 @@
+/**
+ * Card Rules
+ * Classifies cards by their role in Bulgarian Canasta (wilds, threes, naturals)
+ * and gives their point values (section 15.1)
+ */
+
+import { SUITS, RANKS, JOKER } from './cardMapping.js';
+
+/**
+ * Check if a card is a joker
+ * @param {object} card
+ * @returns {boolean}
+ */
+export function isJoker(card) {
+  return card.suit === JOKER;
+}
+
+/**
+ * Check if a card is a two (wild)
+ * @param {object} card
+ * @returns {boolean}
+ */
+export function isTwo(card) {
+  return !isJoker(card) && card.rank === RANKS.TWO;
+}
+
+/**
+ * Check if a card is wild (joker or two)
+ * @param {object} card
+ * @returns {boolean}
+ */
+export function isWildCard(card) {
+  return isJoker(card) || isTwo(card);
+}
+
+/**
+ * Check if a card is a red three (♦3, ♥3)
+ * @param {object} card
+ * @returns {boolean}
+ */
+export function isRedThree(card) {
+  return card.rank === RANKS.THREE && (card.suit === SUITS.HEART || card.suit === SUITS.DIAMOND);
+}
+
+/**
+ * Check if a card is a black three (♣3, ♠3)
+ * @param {object} card
+ * @returns {boolean}
+ */
+export function isBlackThree(card) {
+  return card.rank === RANKS.THREE && (card.suit === SUITS.CLUB || card.suit === SUITS.SPADE);
+}
+
+/**
+ * Check if a card is a natural ("original") card usable in melds
+ * Naturals are everything except wilds and threes.
+ * @param {object} card
+ * @returns {boolean}
+ */
+export function isNaturalCard(card) {
+  return !isWildCard(card) && card.rank !== RANKS.THREE;
+}
+
+/**
+ * Get the point value of a card (section 15.1)
+ * Threes are worth 0 here - they are scored separately (section 15.3).
+ * @param {object} card
+ * @returns {number}
+ */
+export function getCardPoints(card) {
+  if (isJoker(card)) return 50;
+  if (card.rank === RANKS.TWO || card.rank === RANKS.ACE) return 20;
+  if (card.rank === RANKS.THREE) return 0;
+  if (card.rank >= RANKS.EIGHT) return 10;
+  return 5;
+}
+
+/**
+ * Sum the point values of cards
+ * @param {Array} cards
+ * @returns {number}
+ */
+export function sumCardPoints(cards) {
+  return cards.reduce((total, card) => total + getCardPoints(card), 0);
+}
@@ -0,0 +1,159 @@
+/**
+ * Closing
+ * Going out and ending the deal (section 14)
+ *
+ * A player closes by discarding their last card, so there is no closing
+ * without a discard. The close is:
+ * - "on plus" when the team has at least one canasta
+ * - "on minus" when the team opened without a canasta in this very turn
+ *   and closes at once; everything then counts as minus except the +100
+ * A team that opened in an earlier turn needs a canasta to close.
+ *
+ * A closer holding all four black threes may lay them down when going
+ * out (the discard is then their only other card); they score +2000
+ * instead of the -2000 of four black threes left in hand (15.3).
+ */
+
+import { classifyMeld } from './canasta.js';
+import { isBlackThree } from './cardRules.js';
+import { scoreDeal, CLOSING_TYPES } from './scoring.js';
+import { getTeamOf, getPartnerOf, hasTeamOpened } from './gameState.js';
+
+export const CLOSING_ERRORS = {
+  NOT_OPENED: 'NOT_OPENED',
+  NO_CANASTA: 'NO_CANASTA',
+  NO_CARD_TO_DISCARD: 'NO_CARD_TO_DISCARD',
+  MINUS_NOT_CONFIRMED: 'MINUS_NOT_CONFIRMED',
+  NOT_FOUR_BLACK_THREES: 'NOT_FOUR_BLACK_THREES'
+};
+
+// Black threes a closer lays down together when going out
+export const BLACK_THREES_TO_LAY = 4;
+
+/**
+ * Build a closing rejection reason
+ * @param {string} code - One of CLOSING_ERRORS
+ * @param {string} message - Human-readable explanation
+ * @returns {Object}
+ */
+function closingReason(code, message) {
+  return { code, message };
+}
+
+/**
+ * Check if a discard would empty the seat's hand
+ * @param {Object} state - Game state
+ * @param {number} seat
+ * @returns {boolean}
+ */
+export function isClosingDiscard(state, seat) {
+  return state.hands[seat].length === 1;
+}
+
+/**
+ * Find the black threes a seat would lay down when going out
+ * Only possible when, apart from the discard, the hand holds exactly the
+ * four black threes.
+ * @param {Object} state - Game state
+ * @param {number} seat
+ * @param {string} discardId - ID of the card to discard
+ * @returns {Array|null} The four black threes, or null
+ */
+export function findBlackThreesToLay(state, seat, discardId) {
+  const rest = state.hands[seat].filter(card => card.id !== discardId);
+  const ok = rest.length === BLACK_THREES_TO_LAY && rest.every(isBlackThree);
+  return ok ? rest : null;
+}
+
+/**
+ * Check if a team has at least one canasta
+ * @param {Array} melds - Team melds
+ * @returns {boolean}
+ */
+export function hasCanasta(melds) {
+  return melds.some(meld => classifyMeld(meld).isCanasta);
+}
+
+/**
+ * Decide a close from the team's table
+ * @param {boolean} opened - The team has opened
+ * @param {Array} melds - Team melds
+ * @param {boolean} openedThisTurn - The team opened in the current turn
+ * @returns {Object} { ok: boolean, reasons: Array, closingType?: string }
+ */
+function decideClosing(opened, melds, openedThisTurn) {
+  if (!opened) {
+    return {
+      ok: false,
+      reasons: [closingReason(CLOSING_ERRORS.NOT_OPENED, 'Your team must open before closing')]
+    };
+  }
+
+  if (hasCanasta(melds)) {
+    return { ok: true, reasons: [], closingType: CLOSING_TYPES.PLUS };
+  }
+
+  if (openedThisTurn) {
+    return { ok: true, reasons: [], closingType: CLOSING_TYPES.MINUS };
+  }
+
+  return {
+    ok: false,
+    reasons: [closingReason(
+      CLOSING_ERRORS.NO_CANASTA,
+      'Closing needs a canasta unless your team opens and closes in the same turn'
+    )]
+  };
+}
+
+/**
+ * Check if a seat may close now and how
+ * @param {Object} state - Game state
+ * @param {number} seat
+ * @returns {Object} { ok: boolean, reasons: Array, closingType?: string }
+ */
+export function checkClosing(state, seat) {
+  const team = getTeamOf(seat);
+  const { melds, openedTurn } = state.teams[team];
+  return decideClosing(hasTeamOpened(state, team), melds, openedTurn === state.turnNumber);
+}
+
+/**
+ * Check if a seat may close after laying down melds
+ * A move that leaves a single card is only legal when that card can be
+ * discarded to close; otherwise the turn could never end. A team that
+ * has not opened yet opens with the laid melds in this turn.
+ * @param {Object} state - Game state
+ * @param {number} seat
+ * @param {Array} laidMelds - Melds the move lays down or grows, as they would be
+ * @returns {Object} { ok: boolean, reasons: Array, closingType?: string }
+ */
+export function checkClosingAfter(state, seat, laidMelds) {
+  const team = getTeamOf(seat);
+  const { melds, openedTurn } = state.teams[team];
+  const opensNow = !hasTeamOpened(state, team);
+  return decideClosing(true, [...melds, ...laidMelds], opensNow || openedTurn === state.turnNumber);
+}
+
+/**
+ * Score a deal that the given seat closed
+ * Without a closing seat (the cards ran out) nobody gets the closing bonus.
+ * @param {Object} state - Game state
+ * @param {number|null} closingSeat
+ * @param {Array} blackThreesLaid - Black threes the closer laid down when going out
+ * @returns {Object} Result of scoreDeal
+ */
+export function scoreClosedDeal(state, closingSeat = null, blackThreesLaid = []) {
+  const closingTeam = closingSeat === null ? null : getTeamOf(closingSeat);
+  const teams = state.teams.map((team, index) => {
+    const seats = [index, getPartnerOf(index)];
+    return {
+      melds: team.melds,
+      redThrees: seats.flatMap(seat => state.redThrees[seat]),
+      hands: seats.map(seat => state.hands[seat]),
+      blackThreesLaid: index === closingTeam ? blackThreesLaid : []
+    };
+  });
+
+  return scoreDeal({ teams, closingTeam });
+}
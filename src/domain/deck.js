@@ -0,0 +1,103 @@
+/**
+ * Deck
+ * Shuffling, dealer selection by cutting (section 5) and dealing (section 7.1)
+ *
+ * Decks are arrays with the top of the deck at the end of the array,
+ * so the bottom cards are the first ones.
+ */
+
+import { RANKS } from './cardMapping.js';
+import { isJoker } from './cardRules.js';
+import { randomInt } from './random.js';
+
+export const SEAT_COUNT = 4;
+export const HAND_SIZE = 13;
+
+/**
+ * Shuffle cards (Fisher-Yates) without changing the input
+ * @param {Array} cards
+ * @param {Function} random - Generator from createRandom
+ * @returns {Array} New shuffled array
+ */
+export function shuffleDeck(cards, random) {
+  const deck = [...cards];
+  for (let i = deck.length - 1; i > 0; i--) {
+    const j = randomInt(random, i + 1);
+    [deck[i], deck[j]] = [deck[j], deck[i]];
+  }
+  return deck;
+}
+
+/**
+ * Get the strength of a card when cutting for the dealer
+ * Order: A, K, Q, J, 10 ... 3, 2 (suit does not matter)
+ * @param {object} card
+ * @returns {number} Higher is stronger, 0 for jokers (which are re-cut)
+ */
+export function getCutStrength(card) {
+  if (isJoker(card)) return 0;
+  return card.rank === RANKS.ACE ? 14 : card.rank;
+}
+
+/**
+ * Choose the dealer: every player cuts a card, the highest deals
+ * Players who cut a joker, or tie for the highest card, cut again.
+ * @param {Array} deck
+ * @param {Function} random - Generator from createRandom
+ * @returns {Object} { dealer, firstPlayer, cuts: [{ round, seat, card }] }
+ */
+export function cutForDealer(deck, random) {
+  const available = [...deck];
+  const cuts = [];
+  let contenders = [0, 1, 2, 3];
+  let round = 1;
+
+  while (contenders.length > 1 && available.length > 0) {
+    const roundCuts = contenders
+      .filter(() => available.length > 0)
+      .map(seat => {
+        const [card] = available.splice(randomInt(random, available.length), 1);
+        return { round, seat, card };
+      });
+    cuts.push(...roundCuts);
+
+    const best = Math.max(...roundCuts.map(cut => getCutStrength(cut.card)));
+    contenders = best === 0
+      ? roundCuts.map(cut => cut.seat)
+      : roundCuts.filter(cut => getCutStrength(cut.card) === best).map(cut => cut.seat);
+    round += 1;
+  }
+
+  const dealer = contenders[0];
+  return { dealer, firstPlayer: (dealer + 1) % SEAT_COUNT, cuts };
+}
+
+/**
+ * Deal the hands, one card at a time, starting left of the dealer
+ * A seat that already holds cards (see presetHands) is skipped once
+ * for every card it holds, so everyone ends with the same count.
+ * @param {Array} deck - Shuffled deck (top = last card)
+ * @param {number} dealer - Dealer's seat
+ * @param {Object} options - Optional: cardsPerSeat (13), presetHands (cards already held per seat)
+ * @returns {Object} { hands: Array<Array>, stock: Array } - stock is what's left of the deck
+ */
+export function dealHands(deck, dealer, options = {}) {
+  const cardsPerSeat = options.cardsPerSeat ?? HAND_SIZE;
+  const presetHands = options.presetHands || [];
+  const stock = [...deck];
+  const hands = Array.from({ length: SEAT_COUNT }, (_, seat) => [...(presetHands[seat] || [])]);
+  const skips = hands.map(hand => hand.length);
+
+  for (let round = 0; round < cardsPerSeat; round++) {
+    for (let offset = 1; offset <= SEAT_COUNT; offset++) {
+      const seat = (dealer + offset) % SEAT_COUNT;
+      if (skips[seat] > 0) {
+        skips[seat] -= 1;
+        continue;
+      }
+      hands[seat].push(stock.pop());
+    }
+  }
+
+  return { hands, stock };
+}
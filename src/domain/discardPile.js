@@ -0,0 +1,125 @@
+/**
+ * Discard Pile Model
+ * Holds the cards in the discard pile (last card = top) and the
+ * blocking state caused by discarded threes (section 12.3)
+ *
+ * - a red 3 blocks the pile for the next three players; after that the
+ *   player who threw it is the first allowed to take it
+ * - a black 3 blocks the pile for the next player only
+ *
+ * Every turn ends with a discard, so blocked turns are counted down
+ * each time the next card lands on the pile.
+ */
+
+import { isRedThree, isBlackThree } from './cardRules.js';
+
+export const BLOCK_REASONS = {
+  RED_THREE: 'RED_THREE',
+  BLACK_THREE: 'BLACK_THREE'
+};
+
+export const RED_THREE_BLOCKED_TURNS = 3;
+export const BLACK_THREE_BLOCKED_TURNS = 1;
+
+/**
+ * Create a discard pile
+ * @param {Array} cards - Initial cards, bottom first
+ * @returns {Object} { cards: Array, block: Object|null }
+ */
+export function createDiscardPile(cards = []) {
+  return {
+    cards: [...cards],
+    block: null
+  };
+}
+
+/**
+ * Get the top card of the pile
+ * @param {Object} pile
+ * @returns {Object|null} Card object or null when the pile is empty
+ */
+export function getTopCard(pile) {
+  return pile.cards.length > 0 ? pile.cards[pile.cards.length - 1] : null;
+}
+
+/**
+ * Get the number of cards in the pile
+ * @param {Object} pile
+ * @returns {number}
+ */
+export function getPileSize(pile) {
+  return pile.cards.length;
+}
+
+/**
+ * Build the block a discarded card puts on the pile
+ * @param {Object} card
+ * @param {number|null} seat - Seat that discarded the card
+ * @returns {Object|null} { reason, discardedBy, remainingTurns } or null
+ */
+function createBlock(card, seat) {
+  if (isRedThree(card)) {
+    return { reason: BLOCK_REASONS.RED_THREE, discardedBy: seat, remainingTurns: RED_THREE_BLOCKED_TURNS };
+  }
+  if (isBlackThree(card)) {
+    return { reason: BLOCK_REASONS.BLACK_THREE, discardedBy: seat, remainingTurns: BLACK_THREE_BLOCKED_TURNS };
+  }
+  return null;
+}
+
+/**
+ * Put a card on top of the pile
+ * The discard ends a turn, so any running block loses one turn first.
+ * @param {Object} pile
+ * @param {Object} card
+ * @param {number|null} seat - Seat that discarded the card (null for the initial flip)
+ */
+export function addToDiscardPile(pile, card, seat = null) {
+  if (pile.block) {
+    pile.block.remainingTurns -= 1;
+    if (pile.block.remainingTurns <= 0) {
+      pile.block = null;
+    }
+  }
+
+  const newBlock = createBlock(card, seat);
+  if (newBlock && (!pile.block || newBlock.remainingTurns > pile.block.remainingTurns)) {
+    pile.block = newBlock;
+  }
+
+  pile.cards.push(card);
+}
+
+/**
+ * Get the current block on the pile, for display
+ * @param {Object} pile
+ * @returns {Object|null} { reason, discardedBy, remainingTurns } or null when not blocked
+ */
+export function getPileBlock(pile) {
+  return pile.block ? { ...pile.block } : null;
+}
+
+/**
+ * Check if the pile is blocked for a seat
+ * @param {Object} pile
+ * @param {number} seat
+ * @returns {boolean}
+ */
+export function isPileBlockedFor(pile, seat) {
+  return Boolean(pile.block) && pile.block.discardedBy !== seat;
+}
+
+/**
+ * Take the whole pile
+ * @param {Object} pile
+ * @returns {Object} { topCard, rest } - top card and the remaining cards (bottom first)
+ */
+export function takeDiscardPile(pile) {
+  const cards = pile.cards;
+  pile.cards = [];
+  pile.block = null;
+  return {
+    topCard: cards.length > 0 ? cards[cards.length - 1] : null,
+    rest: cards.slice(0, -1)
+  };
+}
@@ -0,0 +1,272 @@
+/**
+ * Game State
+ * Full state of a deal for all four seats:
+ *
+ * - seats 0-3 in playing order; partners sit opposite, so
+ *   team 0 = seats 0 and 2, team 1 = seats 1 and 3
+ * - hands and laid-down red threes per seat
+ * - melds and running match score per team
+ * - stock, discard pile, current seat and turn phase (see turnPhases.js)
+ *
+ * A state can be created before the deal (PRE_DEAL, while the first
+ * player decides on the bottom cards) and receive the dealt cards later.
+ *
+ * Before play starts comes the pre-play phase (sections 7.2 - 7.3):
+ * 1. in turn, starting left of the dealer, every player lays down their
+ *    red threes and draws a replacement for each one, again and again
+ *    while the replacement is another red three
+ * 2. the top card of the deck is flipped to start the discard pile
+ */
+
+import { isRedThree } from './cardRules.js';
+import { createDiscardPile, addToDiscardPile } from './discardPile.js';
+import { createStock, drawFromStock } from './stock.js';
+import { SEAT_COUNT } from './deck.js';
+import { TURN_PHASES, transitionTurn } from './turnPhases.js';
+
+export const TEAM_COUNT = 2;
+
+/**
+ * Get the team a seat plays for
+ * @param {number} seat
+ * @returns {number} 0 or 1
+ */
+export function getTeamOf(seat) {
+  return seat % TEAM_COUNT;
+}
+
+/**
+ * Get the seat of a player's partner (sitting opposite)
+ * @param {number} seat
+ * @returns {number}
+ */
+export function getPartnerOf(seat) {
+  return (seat + 2) % SEAT_COUNT;
+}
+
+/**
+ * Get the seat that plays after the given one (to the left)
+ * @param {number} seat
+ * @returns {number}
+ */
+export function getNextSeat(seat) {
+  return (seat + 1) % SEAT_COUNT;
+}
+
+/**
+ * Create the state for a deal
+ * Without hands the state waits in PRE_DEAL, with the first player to act;
+ * the cards are handed over later with applyDeal.
+ * @param {Object} deal
+ * @param {Array} deal.hands - Cards per seat (optional)
+ * @param {Array} deal.stock - Remaining deck (top = last card)
+ * @param {number} deal.dealer - Dealer's seat
+ * @param {Array} deal.teamScores - Running match score per team (for opening thresholds)
+ * @returns {Object} Game state
+ */
+export function createGameState({ hands, stock = [], dealer, teamScores = [0, 0] }) {
+  const firstPlayer = getNextSeat(dealer);
+  const state = {
+    dealer,
+    firstPlayer,
+    hands: Array.from({ length: SEAT_COUNT }, () => []),
+    redThrees: Array.from({ length: SEAT_COUNT }, () => []),
+    teams: Array.from({ length: TEAM_COUNT }, (_, team) => ({
+      melds: [],
+      score: teamScores[team] ?? 0,
+      openedTurn: null
+    })),
+    stock: createStock(),
+    discardPile: createDiscardPile(),
+    events: [],
+    currentSeat: firstPlayer,
+    turnPhase: TURN_PHASES.PRE_DEAL,
+    turnNumber: 0,
+    redThreesDone: 0,
+    result: null
+  };
+
+  if (hands) {
+    applyDeal(state, { hands, stock });
+  }
+  return state;
+}
+
+/**
+ * Hand the dealt cards to a state waiting in PRE_DEAL
+ * Red threes are laid down next, starting with the first player.
+ * @param {Object} state
+ * @param {Object} deal
+ * @param {Array} deal.hands - Cards per seat
+ * @param {Array} deal.stock - Remaining deck (top = last card)
+ * @returns {Object} { ok: boolean, code?: string, message?: string }
+ */
+export function applyDeal(state, { hands, stock }) {
+  const result = transitionTurn(state, TURN_PHASES.RED_THREES);
+  if (!result.ok) return result;
+
+  state.hands = hands.map(hand => [...hand]);
+  state.stock = createStock(stock);
+  state.currentSeat = state.firstPlayer;
+  return { ok: true };
+}
+
+/**
+ * Get a seat's hand
+ * @param {Object} state
+ * @param {number} seat
+ * @returns {Array}
+ */
+export function getHand(state, seat) {
+  return state.hands[seat];
+}
+
+/**
+ * Find cards in a seat's hand, in the order of the given IDs
+ * @param {Object} state
+ * @param {number} seat
+ * @param {Array} cardIds
+ * @returns {Array} Card objects (unknown IDs are skipped)
+ */
+export function findCardsInHand(state, seat, cardIds) {
+  const hand = state.hands[seat];
+  return cardIds
+    .map(id => hand.find(card => card.id === id))
+    .filter(Boolean);
+}
+
+/**
+ * Add cards to a seat's hand
+ * @param {Object} state
+ * @param {number} seat
+ * @param {Array} cards
+ */
+export function addCardsToHand(state, seat, cards) {
+  state.hands[seat].push(...cards);
+}
+
+/**
+ * Remove cards from a seat's hand
+ * @param {Object} state
+ * @param {number} seat
+ * @param {Array} cardIds
+ */
+export function removeCardsFromHand(state, seat, cardIds) {
+  const ids = new Set(cardIds);
+  state.hands[seat] = state.hands[seat].filter(card => !ids.has(card.id));
+}
+
+/**
+ * Get a team's melds
+ * @param {Object} state
+ * @param {number} team
+ * @returns {Array}
+ */
+export function getTeamMelds(state, team) {
+  return state.teams[team].melds;
+}
+
+/**
+ * Add a meld to a team
+ * The team's first meld records the turn it opened in.
+ * @param {Object} state
+ * @param {number} team
+ * @param {Object} meld
+ */
+export function addTeamMeld(state, team, meld) {
+  if (state.teams[team].melds.length === 0) {
+    state.teams[team].openedTurn = state.turnNumber;
+  }
+  state.teams[team].melds.push(meld);
+}
+
+/**
+ * Check if a team has opened (has melds on the table)
+ * @param {Object} state
+ * @param {number} team
+ * @returns {boolean}
+ */
+export function hasTeamOpened(state, team) {
+  return state.teams[team].melds.length > 0;
+}
+
+/**
+ * Lay down a seat's red threes and draw their replacements
+ * Only the seat whose turn it is may lay down (order starts left of the dealer).
+ * @param {Object} state
+ * @param {number} seat
+ * @returns {Object} { ok: boolean, message?: string, laid?: Array, drawn?: Array }
+ */
+export function layDownRedThrees(state, seat) {
+  if (state.turnPhase !== TURN_PHASES.RED_THREES) {
+    return { ok: false, message: 'Red threes are laid down only before play starts' };
+  }
+  if (seat !== state.currentSeat) {
+    return { ok: false, message: `Seat ${state.currentSeat} lays down red threes first` };
+  }
+
+  const laid = [];
+  const drawn = [];
+  let pending = state.hands[seat].filter(isRedThree);
+
+  while (pending.length > 0) {
+    removeCardsFromHand(state, seat, pending.map(card => card.id));
+    state.redThrees[seat].push(...pending);
+    laid.push(...pending);
+
+    const { cards: replacements, events } = drawFromStock(state.stock, state.discardPile, pending.length);
+    state.events.push(...events);
+    addCardsToHand(state, seat, replacements);
+    drawn.push(...replacements);
+    pending = replacements.filter(isRedThree);
+  }
+
+  state.redThreesDone += 1;
+  state.currentSeat = getNextSeat(seat);
+  if (state.redThreesDone === SEAT_COUNT) {
+    transitionTurn(state, TURN_PHASES.FIRST_DISCARD);
+  }
+
+  return { ok: true, laid, drawn };
+}
+
+/**
+ * Flip the top card of the deck to start the discard pile
+ * Play then starts with the first player, in BEFORE_DRAW.
+ * @param {Object} state
+ * @returns {Object} { ok: boolean, message?: string, card?: Object }
+ */
+export function flipFirstDiscard(state) {
+  if (state.turnPhase !== TURN_PHASES.FIRST_DISCARD) {
+    return { ok: false, message: 'All players must lay down their red threes first' };
+  }
+
+  const { cards: [card], events } = drawFromStock(state.stock, state.discardPile);
+  state.events.push(...events);
+  addToDiscardPile(state.discardPile, card, null);
+  transitionTurn(state, TURN_PHASES.BEFORE_DRAW);
+  state.currentSeat = state.firstPlayer;
+
+  return { ok: true, card };
+}
+
+/**
+ * Run the whole pre-play phase: red threes for every seat in order, then the flip
+ * @param {Object} state
+ * @returns {Object} { ok: boolean, message?: string, laid?: Array<Array>, card?: Object }
+ */
+export function runPrePlay(state) {
+  const laid = Array.from({ length: SEAT_COUNT }, () => []);
+
+  while (state.turnPhase === TURN_PHASES.RED_THREES) {
+    const seat = state.currentSeat;
+    const result = layDownRedThrees(state, seat);
+    if (!result.ok) return result;
+    laid[seat] = result.laid;
+  }
+
+  const flip = flipFirstDiscard(state);
+  if (!flip.ok) return flip;
+
+  return { ok: true, laid, card: flip.card };
+}
@@ -0,0 +1,142 @@
+/**
+ * Hand Sorting
+ * Orders a hand for display. Sorting never changes the hand in the game
+ * state, only the order the cards are shown in.
+ *
+ * Modes:
+ * - RANK: low to high (aces high), wilds and threes at the end
+ * - SUIT: by suit, then rank within the suit
+ * - MELD: meld potential - pairs and sets first, then near-runs (same
+ *   suit, at most one rank missing), then loose naturals, threes and
+ *   finally the wilds, kept apart
+ */
+
+import { SUITS, JOKER } from './cardMapping.js';
+import { isWildCard, isJoker, isNaturalCard } from './cardRules.js';
+import { toRunRank } from './runRules.js';
+
+export const SORT_MODES = {
+  RANK: 'RANK',
+  SUIT: 'SUIT',
+  MELD: 'MELD'
+};
+
+// Highest rank gap inside a near-run (one missing card)
+const NEAR_RUN_GAP = 2;
+
+const SUIT_ORDER = [SUITS.HEART, SUITS.CLUB, SUITS.DIAMOND, SUITS.SPADE, JOKER];
+
+/**
+ * Sort key of a card within its group: naturals by run rank, then
+ * threes, then twos, then jokers
+ * @param {Object} card
+ * @returns {number}
+ */
+function rankKey(card) {
+  if (isJoker(card)) return 100 + card.rank;
+  if (isWildCard(card)) return 90;
+  if (!isNaturalCard(card)) return 80;
+  return toRunRank(card);
+}
+
+/**
+ * Compare cards by rank, then suit
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+function byRank(a, b) {
+  return (rankKey(a) - rankKey(b)) || (SUIT_ORDER.indexOf(a.suit) - SUIT_ORDER.indexOf(b.suit));
+}
+
+/**
+ * Compare cards by suit, then rank
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+function bySuit(a, b) {
+  return (SUIT_ORDER.indexOf(a.suit) - SUIT_ORDER.indexOf(b.suit)) || (rankKey(a) - rankKey(b));
+}
+
+/**
+ * Split same-suit naturals into near-runs of 2+ cards
+ * @param {Array} cards - Naturals of one suit
+ * @returns {Object} { runs: Array<Array>, loose: Array }
+ */
+function splitNearRuns(cards) {
+  const sorted = [...cards].sort(byRank);
+  const runs = [];
+  let current = [];
+
+  sorted.forEach((card) => {
+    const last = current[current.length - 1];
+    if (last && toRunRank(card) - toRunRank(last) <= NEAR_RUN_GAP) {
+      current.push(card);
+    } else {
+      runs.push(current);
+      current = [card];
+    }
+  });
+  runs.push(current);
+
+  return {
+    runs: runs.filter(run => run.length >= 2),
+    loose: runs.filter(run => run.length === 1).flat()
+  };
+}
+
+/**
+ * Order cards by meld potential
+ * @param {Array} cards
+ * @returns {Array}
+ */
+function byMeldPotential(cards) {
+  const naturals = cards.filter(isNaturalCard);
+  const threes = cards.filter(card => !isNaturalCard(card) && !isWildCard(card)).sort(byRank);
+  const wilds = cards.filter(isWildCard).sort(byRank);
+
+  const byRankGroup = new Map();
+  naturals.forEach((card) => {
+    byRankGroup.set(card.rank, [...(byRankGroup.get(card.rank) || []), card]);
+  });
+  const sets = [...byRankGroup.values()]
+    .filter(group => group.length >= 2)
+    .map(group => group.sort(byRank))
+    .sort((a, b) => (b.length - a.length) || byRank(a[0], b[0]));
+  const inSets = new Set(sets.flat());
+
+  const bySuitGroup = new Map();
+  naturals.filter(card => !inSets.has(card)).forEach((card) => {
+    bySuitGroup.set(card.suit, [...(bySuitGroup.get(card.suit) || []), card]);
+  });
+  const runs = [];
+  const loose = [];
+  SUIT_ORDER.forEach((suit) => {
+    const split = splitNearRuns(bySuitGroup.get(suit) || []);
+    runs.push(...split.runs);
+    loose.push(...split.loose);
+  });
+  runs.sort((a, b) => b.length - a.length);
+
+  return [...sets.flat(), ...runs.flat(), ...loose.sort(byRank), ...threes, ...wilds];
+}
+
+/**
+ * Sort a hand for display
+ * @param {Array} cards
+ * @param {string|null} mode - One of SORT_MODES; null keeps the given order
+ * @returns {Array} New array in display order
+ */
+export function sortHand(cards, mode) {
+  switch (mode) {
+    case SORT_MODES.RANK:
+      return [...cards].sort(byRank);
+    case SORT_MODES.SUIT:
+      return [...cards].sort(bySuit);
+    case SORT_MODES.MELD:
+      return byMeldPotential(cards);
+    default:
+      return [...cards];
+  }
+}
@@ -0,0 +1,252 @@
+/**
+ * Hints
+ * Lists the legal plays of a seat from its seat view (see seatView.js):
+ * - new melds: every meld the hand can lay down (see meldSearch.js)
+ * - additions: single cards that extend a team meld, and the longest
+ *   natural tail for runs
+ * - the discard pile: whether it can be taken and with which keys
+ * - the opening: the team's threshold and whether a meld, or two melds
+ *   laid together, reach it
+ *
+ * Every hint lists the card IDs to select, in the order they are laid down;
+ * meld hints also list them per meld.
+ */
+
+import { isWildCard, isNaturalCard, sumCardPoints } from './cardRules.js';
+import { MELD_TYPES } from './melds.js';
+import { canAddToMeld } from './canasta.js';
+import { findNewMelds, placeOnTeamMelds, listOpeningMelds } from './meldSearch.js';
+import { checkOpening, getOpeningThreshold } from './opening.js';
+import { checkClosingAfter } from './closing.js';
+import { validatePickupKey, WILD_KEY_SIZE } from './pickupRules.js';
+import { getTopCard, isPileBlockedFor, BLOCK_REASONS } from './discardPile.js';
+import { TURN_PHASES } from './turnPhases.js';
+import { formatHand } from './notation.js';
+
+export const HINT_TYPES = {
+  NEW_MELD: 'NEW_MELD',
+  ADD_TO_MELD: 'ADD_TO_MELD',
+  TAKE_PILE: 'TAKE_PILE'
+};
+
+/**
+ * Drop hints that lay down the same cards (by notation) as an earlier one
+ * The double deck has two of every card, so many combinations look alike.
+ * @param {Array} hints
+ * @returns {Array}
+ */
+function uniqueHints(hints) {
+  const seen = new Set();
+  return hints.filter((hint) => {
+    const key = `${hint.type}:${hint.meldIndex ?? ''}:${hint.label}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Check if a play leaves a card to discard and, when it is the last one,
+ * a legal close (see checkClosingAfter)
+ * @param {Object} view - Seat view
+ * @param {number} cardsLeft - Cards in hand after the play
+ * @param {Array} laidMelds - Melds the play lays down or grows, as they would be
+ * @returns {boolean}
+ */
+function leavesDiscard(view, cardsLeft, laidMelds) {
+  if (cardsLeft !== 1) return cardsLeft > 1;
+  return checkClosingAfter(view, view.seat, laidMelds).ok;
+}
+
+/**
+ * Build the hint for melds laid in one action
+ * @param {Array} melds - One meld, or the melds of an opening combination
+ * @param {boolean} opens - The melds open the team (or it has opened)
+ * @returns {Object} Hint { type, label, cardIds, melds, meldType, points, opens }
+ */
+function createMeldHint(melds, opens) {
+  const cards = melds.flatMap(meld => meld.cards);
+  return {
+    type: HINT_TYPES.NEW_MELD,
+    label: melds.map(meld => formatHand(meld.cards)).join(' + '),
+    cardIds: cards.map(card => card.id),
+    melds: melds.map(meld => meld.cards.map(card => card.id)),
+    meldType: melds.length === 1 ? melds[0].type : null,
+    points: sumCardPoints(cards),
+    opens
+  };
+}
+
+/**
+ * Find every legal new meld in the viewing seat's hand
+ * Before the team opens, pairs of melds that only open together are
+ * listed as well (see listOpeningMelds).
+ * @param {Object} view - Seat view
+ * @returns {Array} Hints { type, label, cardIds, melds, meldType, points, opens }
+ */
+export function findNewMeldHints(view) {
+  const { hand, team } = view;
+  const { melds, score } = view.teams[team];
+  const opened = melds.length > 0;
+  const cardsLeft = laid => hand.length - laid.reduce((count, meld) => count + meld.cards.length, 0);
+
+  const newMelds = findNewMelds(hand).filter((meld) => {
+    const placed = placeOnTeamMelds(melds, meld);
+    return placed !== null && leavesDiscard(view, cardsLeft([meld]), [placed]);
+  });
+  const hints = newMelds.map(meld => createMeldHint(
+    [meld],
+    opened || checkOpening([meld], score, { cardsLeftInHand: cardsLeft([meld]) }).ok
+  ));
+
+  if (!opened) {
+    listOpeningMelds(newMelds, score, hand.length)
+      .filter(laid => laid.length > 1 && leavesDiscard(view, cardsLeft(laid), laid))
+      .forEach(laid => hints.push(createMeldHint(laid, true)));
+  }
+
+  return uniqueHints(hints).sort((a, b) => b.points - a.points);
+}
+
+/**
+ * Find every legal addition to the team's melds
+ * @param {Object} view - Seat view
+ * @returns {Array} Hints { type, label, cardIds, meldIndex }
+ */
+export function findAddToMeldHints(view) {
+  const { hand, team } = view;
+  const melds = view.teams[team].melds;
+  const hints = [];
+
+  const tryAdd = (meldIndex, cards) => {
+    if (cards.length === 0) return false;
+    const addition = canAddToMeld(melds[meldIndex], cards);
+    if (!addition.ok || !leavesDiscard(view, hand.length - cards.length, [addition.meld])) return false;
+    hints.push({
+      type: HINT_TYPES.ADD_TO_MELD,
+      label: formatHand(cards),
+      cardIds: cards.map(card => card.id),
+      meldIndex
+    });
+    return true;
+  };
+
+  melds.forEach((meld, meldIndex) => {
+    hand.forEach(card => tryAdd(meldIndex, [card]));
+
+    if (meld.type === MELD_TYPES.RUN) {
+      // Grow the run card by card as far as the hand allows
+      const tail = [];
+      let next;
+      do {
+        next = hand.find(card => isNaturalCard(card) && !tail.includes(card) &&
+          canAddToMeld(meld, [...tail, card]).ok);
+        if (next) tail.push(next);
+      } while (next);
+      if (tail.length > 1) tryAdd(meldIndex, tail);
+    }
+  });
+
+  return uniqueHints(hints);
+}
+
+/**
+ * Check whether the discard pile can be taken and list the keys for it
+ * @param {Object} view - Seat view
+ * @returns {Object} { canTake: boolean, reason: string|null, topCard, keys: Array }
+ *   where keys are hints { type, label, cardIds, keyType }
+ */
+export function findPickupHints(view) {
+  const { hand, seat } = view;
+  const topCard = getTopCard(view.discardPile);
+  const result = (reason, keys = []) => ({ canTake: reason === null, reason, topCard, keys });
+
+  if (!topCard) return result('The discard pile is empty');
+  if (isPileBlockedFor(view.discardPile, seat)) {
+    const three = view.discardPile.block.reason === BLOCK_REASONS.RED_THREE ? 'a red 3' : 'a black 3';
+    return result(`The pile is blocked by ${three}`);
+  }
+
+  const naturals = hand.filter(isNaturalCard);
+  const wilds = hand.filter(isWildCard);
+  const offers = [];
+  for (let i = 0; i < naturals.length; i++) {
+    for (let j = i + 1; j < naturals.length; j++) {
+      offers.push([naturals[i], naturals[j]]);
+    }
+  }
+  if (wilds.length >= WILD_KEY_SIZE) {
+    offers.push(wilds.slice(0, WILD_KEY_SIZE));
+  }
+
+  // The take must leave a card to discard (and a legal close when it is the last)
+  const { melds, score } = view.teams[view.team];
+  const cardsAfterTake = (key, meld) => hand.length - key.length + view.discardPile.cards.length -
+    (meld.cards.includes(topCard) ? 1 : 0);
+  const validKeys = offers
+    .map(key => ({ key, validation: validatePickupKey(topCard, key) }))
+    .filter(({ key, validation }) => {
+      if (!validation.ok) return false;
+      const placed = placeOnTeamMelds(melds, validation.meld);
+      return placed !== null && leavesDiscard(view, cardsAfterTake(key, validation.meld), [placed]);
+    });
+  if (validKeys.length === 0) return result(`No key in hand for ${formatHand([topCard])}`);
+
+  // Before the team opens, the key meld has to open it
+  const keys = uniqueHints(validKeys
+    .filter(({ key, validation }) => melds.length > 0 || checkOpening([validation.meld], score, {
+      cardsLeftInHand: cardsAfterTake(key, validation.meld)
+    }).ok)
+    .map(({ key, validation }) => ({
+      type: HINT_TYPES.TAKE_PILE,
+      label: formatHand(key),
+      cardIds: key.map(card => card.id),
+      keyType: validation.keyType
+    })));
+
+  if (keys.length === 0) {
+    return result(`No key for ${formatHand([topCard])} reaches the opening threshold of ${getOpeningThreshold(score)}`);
+  }
+  if (view.currentSeat !== seat || view.turnPhase !== TURN_PHASES.BEFORE_DRAW) {
+    return result('The pile can only be taken instead of drawing', keys);
+  }
+  return result(null, keys);
+}
+
+/**
+ * Summarise the team's opening
+ * @param {Object} view - Seat view
+ * @param {Array} meldHints - Result of findNewMeldHints
+ * @returns {Object} { opened, threshold, bestPoints, meetsThreshold }
+ */
+export function getOpeningHint(view, meldHints) {
+  const { melds, score } = view.teams[view.team];
+  const opened = melds.length > 0;
+  const bestPoints = meldHints.reduce((best, hint) => Math.max(best, hint.points), 0);
+
+  return {
+    opened,
+    threshold: getOpeningThreshold(score),
+    bestPoints,
+    meetsThreshold: opened || meldHints.some(hint => hint.opens)
+  };
+}
+
+/**
+ * Collect every hint for a seat
+ * Before opening, only melds that open are offered, and additions
+ * cannot exist yet.
+ * @param {Object} view - Seat view
+ * @returns {Object} { opening, melds, additions, pile }
+ */
+export function getHints(view) {
+  const allMelds = findNewMeldHints(view);
+  const opening = getOpeningHint(view, allMelds);
+
+  return {
+    opening,
+    melds: opening.opened ? allMelds : allMelds.filter(hint => hint.opens),
+    additions: findAddToMeldHints(view),
+    pile: findPickupHints(view)
+  };
+}
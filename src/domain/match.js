@@ -0,0 +1,184 @@
+/**
+ * Match Controller
+ * Chains deals into a match to 10 000 points (section 4)
+ *
+ * - cumulative team scores (may go negative)
+ * - the dealer rotates one seat to the left every deal
+ * - the match ends after a deal in which a team reaches 10 000;
+ *   if both teams do, the higher score wins (a tie plays on)
+ *
+ * Pages subscribe with onMatchEvent() to react to deal start / deal end / match end.
+ * Every deal gets its own seed derived from the match seed, so any deal
+ * can be replayed on its own.
+ */
+
+import { createSeed } from './random.js';
+import { SEAT_COUNT } from './deck.js';
+
+export const WINNING_SCORE = 10000;
+
+export const MATCH_EVENTS = {
+  DEAL_START: 'DEAL_START',
+  DEAL_END: 'DEAL_END',
+  MATCH_END: 'MATCH_END'
+};
+
+export const MATCH_PHASES = {
+  WAITING: 'WAITING',
+  IN_DEAL: 'IN_DEAL',
+  OVER: 'OVER'
+};
+
+// Listeners are kept outside the match object so it stays plain data
+const matchListeners = new WeakMap();
+
+/**
+ * Create a new match
+ * @param {Object} options - Optional: firstDealer (seat 0-3), seed
+ * @returns {Object} Match state
+ */
+export function createMatch(options = {}) {
+  const match = {
+    seed: options.seed ?? createSeed(),
+    scores: [0, 0],
+    dealer: options.firstDealer ?? 0,
+    dealNumber: 0,
+    deals: [],
+    phase: MATCH_PHASES.WAITING,
+    winner: null
+  };
+  matchListeners.set(match, {});
+  return match;
+}
+
+/**
+ * Subscribe to a match event
+ * @param {Object} match
+ * @param {string} event - One of MATCH_EVENTS
+ * @param {Function} handler - Called with the event payload
+ * @returns {Function} Unsubscribe function
+ */
+export function onMatchEvent(match, event, handler) {
+  if (!matchListeners.has(match)) {
+    matchListeners.set(match, {});
+  }
+  const listeners = matchListeners.get(match);
+  listeners[event] = listeners[event] || [];
+  listeners[event].push(handler);
+
+  return () => {
+    listeners[event] = listeners[event].filter(fn => fn !== handler);
+  };
+}
+
+/**
+ * Notify subscribers of a match event
+ * @param {Object} match
+ * @param {string} event
+ * @param {Object} payload
+ */
+function emitMatchEvent(match, event, payload) {
+  const listeners = matchListeners.get(match) || {};
+  (listeners[event] || []).forEach(handler => handler(payload));
+}
+
+/**
+ * Get the seat that plays first in the current deal (left of the dealer)
+ * @param {Object} match
+ * @returns {number}
+ */
+export function getFirstPlayer(match) {
+  return (match.dealer + 1) % SEAT_COUNT;
+}
+
+/**
+ * Get the seed for the current deal
+ * @param {Object} match
+ * @returns {string}
+ */
+export function getDealSeed(match) {
+  return `${match.seed}#${match.dealNumber}`;
+}
+
+/**
+ * Start the next deal
+ * @param {Object} match
+ * @returns {Object} { ok: boolean, message?: string, dealNumber?: number }
+ */
+export function startDeal(match) {
+  if (match.phase !== MATCH_PHASES.WAITING) {
+    return { ok: false, message: 'A deal is already running or the match is over' };
+  }
+
+  match.dealNumber += 1;
+  match.phase = MATCH_PHASES.IN_DEAL;
+
+  emitMatchEvent(match, MATCH_EVENTS.DEAL_START, {
+    dealNumber: match.dealNumber,
+    dealer: match.dealer,
+    firstPlayer: getFirstPlayer(match),
+    seed: getDealSeed(match),
+    scores: [...match.scores]
+  });
+
+  return { ok: true, dealNumber: match.dealNumber };
+}
+
+/**
+ * Decide the match winner after a deal
+ * @param {Array} scores - Cumulative team scores
+ * @returns {number|null} Winning team index or null when the match goes on
+ */
+export function getMatchWinner(scores) {
+  const [first, second] = scores;
+  if (first < WINNING_SCORE && second < WINNING_SCORE) return null;
+  if (first === second) return null;
+  return first > second ? 0 : 1;
+}
+
+/**
+ * Record the result of the running deal
+ * Adds the deal totals, rotates the dealer and ends the match when won.
+ * DEAL_END is emitted after that, so a listener may start the next deal.
+ * @param {Object} match
+ * @param {Object} dealScore - Result of scoreDeal()
+ * @returns {Object} { ok: boolean, message?: string, matchOver?: boolean, winner?: number|null }
+ */
+export function endDeal(match, dealScore) {
+  if (match.phase !== MATCH_PHASES.IN_DEAL) {
+    return { ok: false, message: 'No deal is running' };
+  }
+
+  const dealTotals = dealScore.teams.map(team => team.total);
+  match.scores = match.scores.map((score, team) => score + dealTotals[team]);
+  match.deals.push({
+    dealNumber: match.dealNumber,
+    dealer: match.dealer,
+    totals: dealTotals,
+    closingType: dealScore.closingType,
+    score: dealScore
+  });
+
+  match.dealer = (match.dealer + 1) % SEAT_COUNT;
+  match.winner = getMatchWinner(match.scores);
+  const matchOver = match.winner !== null;
+  match.phase = matchOver ? MATCH_PHASES.OVER : MATCH_PHASES.WAITING;
+
+  emitMatchEvent(match, MATCH_EVENTS.DEAL_END, {
+    dealNumber: match.dealNumber,
+    totals: dealTotals,
+    scores: [...match.scores],
+    score: dealScore,
+    matchOver
+  });
+
+  if (matchOver) {
+    emitMatchEvent(match, MATCH_EVENTS.MATCH_END, {
+      winner: match.winner,
+      scores: [...match.scores],
+      deals: match.deals.length
+    });
+  }
+
+  return { ok: true, matchOver, winner: match.winner };
+}
@@ -0,0 +1,175 @@
+/**
+ * Meld Rules
+ * Validates set melds (same rank), wild melds (only jokers and/or twos)
+ * and the wild card limits from section 10.2
+ *
+ * Melds are validated in the order the cards are laid down, because the
+ * wild card rules depend on how many natural cards precede each wild.
+ */
+
+import { RANKS } from './cardMapping.js';
+import { isWildCard } from './cardRules.js';
+
+export const MIN_MELD_SIZE = 3;
+export const MAX_WILDS_PER_MELD = 3;
+export const MIN_NATURALS_BEFORE_WILD = 2;
+export const MAX_WILD_MELD_SIZE = 7;
+
+export const MELD_ERRORS = {
+  TOO_FEW_CARDS: 'TOO_FEW_CARDS',
+  THREES_NOT_ALLOWED: 'THREES_NOT_ALLOWED',
+  MIXED_RANKS: 'MIXED_RANKS',
+  TOO_MANY_WILDS: 'TOO_MANY_WILDS',
+  WILD_BEFORE_NATURALS: 'WILD_BEFORE_NATURALS',
+  TOO_MANY_CONSECUTIVE_WILDS: 'TOO_MANY_CONSECUTIVE_WILDS',
+  NOT_ALL_WILD: 'NOT_ALL_WILD',
+  WILD_MELD_TOO_LARGE: 'WILD_MELD_TOO_LARGE'
+};
+
+/**
+ * Build a structured rejection reason
+ * @param {string} code - One of MELD_ERRORS
+ * @param {string} message - Human readable explanation for the UI
+ * @param {object} details - Optional extra data (indexes, counts)
+ * @returns {object} { code, message, ...details }
+ */
+export function meldReason(code, message, details = {}) {
+  return { code, message, ...details };
+}
+
+/**
+ * Check wild card placement in an ordered list of cards
+ * - max 3 wilds per meld
+ * - at least 2 natural cards before the first wild
+ * - every streak of consecutive wilds must be shorter than
+ *   the number of natural cards laid before it
+ * @param {Array} cards - Cards in the order they are laid down
+ * @returns {Array} List of reasons (empty when placement is legal)
+ */
+export function checkWildPlacement(cards) {
+  const reasons = [];
+  const wildCount = cards.filter(isWildCard).length;
+
+  if (wildCount > MAX_WILDS_PER_MELD) {
+    reasons.push(meldReason(
+      MELD_ERRORS.TOO_MANY_WILDS,
+      `A meld can contain at most ${MAX_WILDS_PER_MELD} wild cards (found ${wildCount})`,
+      { wildCount }
+    ));
+  }
+
+  let naturalsBefore = 0;
+  let streak = 0;
+  let reportedEarlyWild = false;
+
+  cards.forEach((card, index) => {
+    if (!isWildCard(card)) {
+      naturalsBefore += 1;
+      streak = 0;
+      return;
+    }
+
+    streak += 1;
+
+    if (naturalsBefore < MIN_NATURALS_BEFORE_WILD) {
+      if (!reportedEarlyWild) {
+        reasons.push(meldReason(
+          MELD_ERRORS.WILD_BEFORE_NATURALS,
+          `At least ${MIN_NATURALS_BEFORE_WILD} natural cards must be laid before any wild card`,
+          { index }
+        ));
+        reportedEarlyWild = true;
+      }
+      return;
+    }
+
+    if (streak >= naturalsBefore) {
+      reasons.push(meldReason(
+        MELD_ERRORS.TOO_MANY_CONSECUTIVE_WILDS,
+        `${streak} consecutive wild cards need more than ${naturalsBefore} natural cards before them`,
+        { index, streak, naturalsBefore }
+      ));
+    }
+  });
+
+  return reasons;
+}
+
+/**
+ * Validate a set meld (3+ cards of the same rank)
+ * @param {Array} cards - Cards in the order they are laid down
+ * @returns {Object} { ok: boolean, reasons: Array, rank?: number }
+ */
+export function validateSetMeld(cards) {
+  const reasons = [];
+
+  if (cards.length < MIN_MELD_SIZE) {
+    reasons.push(meldReason(
+      MELD_ERRORS.TOO_FEW_CARDS,
+      `A meld needs at least ${MIN_MELD_SIZE} cards`,
+      { count: cards.length }
+    ));
+  }
+
+  const naturals = cards.filter(card => !isWildCard(card));
+
+  if (naturals.some(card => card.rank === RANKS.THREE)) {
+    reasons.push(meldReason(
+      MELD_ERRORS.THREES_NOT_ALLOWED,
+      'Threes cannot be melded'
+    ));
+  }
+
+  const ranks = new Set(naturals.map(card => card.rank));
+  if (ranks.size > 1) {
+    reasons.push(meldReason(
+      MELD_ERRORS.MIXED_RANKS,
+      'All natural cards in a set must have the same rank',
+      { ranks: Array.from(ranks) }
+    ));
+  }
+
+  reasons.push(...checkWildPlacement(cards));
+
+  const result = { ok: reasons.length === 0, reasons };
+  if (ranks.size === 1) {
+    result.rank = naturals[0].rank;
+  }
+  return result;
+}
+
+/**
+ * Validate a wild meld (only jokers and/or twos)
+ * Wild melds are exempt from the placement limits but stop at 7 cards,
+ * when they become a wild canasta.
+ * @param {Array} cards - Cards in the order they are laid down
+ * @returns {Object} { ok: boolean, reasons: Array }
+ */
+export function validateWildMeld(cards) {
+  const reasons = [];
+
+  if (cards.length < MIN_MELD_SIZE) {
+    reasons.push(meldReason(
+      MELD_ERRORS.TOO_FEW_CARDS,
+      `A meld needs at least ${MIN_MELD_SIZE} cards`,
+      { count: cards.length }
+    ));
+  }
+
+  if (!cards.every(isWildCard)) {
+    reasons.push(meldReason(
+      MELD_ERRORS.NOT_ALL_WILD,
+      'A wild meld can contain only jokers and twos'
+    ));
+  }
+
+  if (cards.length > MAX_WILD_MELD_SIZE) {
+    reasons.push(meldReason(
+      MELD_ERRORS.WILD_MELD_TOO_LARGE,
+      `A wild meld cannot have more than ${MAX_WILD_MELD_SIZE} cards`,
+      { count: cards.length }
+    ));
+  }
+
+  return { ok: reasons.length === 0, reasons };
+}
@@ -0,0 +1,151 @@
+/**
+ * Meld Search
+ * Finds the new melds a hand can lay down, for the hints and the bots:
+ * - sets of every natural of a rank, plain and padded with wilds
+ * - runs of 3+ consecutive naturals of a suit, tried in both directions
+ * - a meld of all wilds
+ *
+ * A team's first melds may open together, so opening combinations are
+ * one meld or two melds that share no card.
+ */
+
+import { isWildCard, isNaturalCard } from './cardRules.js';
+import { toRunRank } from './runRules.js';
+import { MIN_MELD_SIZE, MAX_WILDS_PER_MELD } from './meldRules.js';
+import { validateNewMeld, MELD_TYPES } from './melds.js';
+import { canAddToMeld } from './canasta.js';
+import { checkOpening } from './opening.js';
+
+/**
+ * Group cards by a key, keeping their order
+ * @param {Array} cards
+ * @param {Function} keyOf
+ * @returns {Map}
+ */
+function groupBy(cards, keyOf) {
+  const groups = new Map();
+  cards.forEach((card) => {
+    const key = keyOf(card);
+    groups.set(key, [...(groups.get(key) || []), card]);
+  });
+  return groups;
+}
+
+/**
+ * List candidate card groups for new melds
+ * @param {Array} hand
+ * @param {number} maxWilds - Most wilds to pad a set with
+ * @returns {Array<Array>} Card groups in laying-down order
+ */
+function listCandidates(hand, maxWilds) {
+  const naturals = hand.filter(isNaturalCard);
+  const wilds = hand.filter(isWildCard);
+  const candidates = [];
+
+  // Each wild count is a separate candidate; validation drops the illegal ones
+  groupBy(naturals, card => card.rank).forEach((cards) => {
+    candidates.push(cards);
+    for (let count = 1; count <= Math.min(maxWilds, MAX_WILDS_PER_MELD, wilds.length); count++) {
+      candidates.push([...cards, ...wilds.slice(0, count)]);
+    }
+  });
+
+  groupBy(naturals, card => card.suit).forEach((cards) => {
+    // One card per run rank, lowest first
+    const ranked = [...new Map(cards.map(card => [toRunRank(card), card])).values()]
+      .sort((a, b) => toRunRank(a) - toRunRank(b));
+    for (let start = 0; start < ranked.length; start++) {
+      for (let end = start + 1; end < ranked.length; end++) {
+        if (toRunRank(ranked[end]) !== toRunRank(ranked[end - 1]) + 1) break;
+        if (end - start + 1 < MIN_MELD_SIZE) continue;
+        const run = ranked.slice(start, end + 1);
+        candidates.push(run, [...run].reverse());
+      }
+    }
+  });
+
+  candidates.push(wilds);
+  return candidates;
+}
+
+/**
+ * Find every new meld the hand can lay down
+ * @param {Array} hand
+ * @param {Object} options
+ * @param {number} options.maxWilds - Most wilds to pad a set with
+ * @returns {Array} Validated melds, longest first
+ */
+export function findNewMelds(hand, { maxWilds = MAX_WILDS_PER_MELD } = {}) {
+  return listCandidates(hand, maxWilds)
+    .map(validateNewMeld)
+    .filter(validation => validation.ok)
+    .map(validation => validation.meld)
+    .sort((a, b) => b.cards.length - a.cards.length);
+}
+
+/**
+ * Place a new meld next to the team's melds
+ * A set of a rank the team already has is merged into it, so the merge
+ * must be a legal addition.
+ * @param {Array} teamMelds
+ * @param {Object} meld - Validated new meld
+ * @returns {Object|null} The meld as it would lie on the table, or null when it does not fit
+ */
+export function placeOnTeamMelds(teamMelds, meld) {
+  if (meld.type !== MELD_TYPES.SET) return meld;
+  const sameRankSet = teamMelds.find(teamMeld => teamMeld.type === MELD_TYPES.SET && teamMeld.rank === meld.rank);
+  if (!sameRankSet) return meld;
+  const merge = canAddToMeld(sameRankSet, meld.cards);
+  return merge.ok ? merge.meld : null;
+}
+
+/**
+ * Check if two new melds can be laid in one action
+ * They may share no card, and two sets of one rank would be one set.
+ * @param {Object} first
+ * @param {Object} second
+ * @returns {boolean}
+ */
+function canLayTogether(first, second) {
+  if (first.cards.some(card => second.cards.includes(card))) return false;
+  return !(first.type === MELD_TYPES.SET && second.type === MELD_TYPES.SET && first.rank === second.rank);
+}
+
+/**
+ * List the combinations of new melds that open the team
+ * Single melds come first, then pairs laid in one action.
+ * @param {Array} melds - Validated new melds (see findNewMelds)
+ * @param {number} teamScore - Team's running score
+ * @param {number} handSize - Cards in hand before laying down
+ * @returns {Array<Array>} Combinations, each the melds to lay in one action
+ */
+export function listOpeningMelds(melds, teamScore, handSize) {
+  const opens = (combination) => {
+    const cardsLeft = handSize - combination.reduce((count, meld) => count + meld.cards.length, 0);
+    return checkOpening(combination, teamScore, { cardsLeftInHand: cardsLeft }).ok;
+  };
+
+  const combinations = melds.map(meld => [meld]);
+  for (let i = 0; i < melds.length; i++) {
+    for (let j = i + 1; j < melds.length; j++) {
+      if (canLayTogether(melds[i], melds[j])) combinations.push([melds[i], melds[j]]);
+    }
+  }
+  return combinations.filter(opens);
+}
+
+/**
+ * Split cards into the new melds they form together
+ * @param {Array} cards - Selected cards
+ * @returns {Array|null} One or two melds using every card, or null
+ */
+export function splitIntoMelds(cards) {
+  for (const first of findNewMelds(cards)) {
+    const rest = cards.filter(card => !first.cards.includes(card));
+    if (rest.length === 0) return [first];
+
+    const second = findNewMelds(rest).find(meld => meld.cards.length === rest.length);
+    if (second && canLayTogether(first, second)) return [first, second];
+  }
+  return null;
+}
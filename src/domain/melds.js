@@ -0,0 +1,71 @@
+/**
+ * Melds
+ * Entry point for validating new melds of any type
+ */
+
+import { isWildCard } from './cardRules.js';
+import { validateSetMeld, validateWildMeld } from './meldRules.js';
+import { validateRunMeld } from './runRules.js';
+
+export const MELD_TYPES = {
+  SET: 'SET',
+  RUN: 'RUN',
+  WILD: 'WILD'
+};
+
+/**
+ * Decide which meld type a group of cards is meant to be
+ * Only wilds form a wild meld, natural cards of one rank form a set,
+ * anything else is treated as a run.
+ * @param {Array} cards
+ * @returns {string} One of MELD_TYPES
+ */
+export function detectMeldType(cards) {
+  if (cards.length > 0 && cards.every(isWildCard)) {
+    return MELD_TYPES.WILD;
+  }
+
+  const ranks = new Set(cards.filter(card => !isWildCard(card)).map(card => card.rank));
+  return ranks.size <= 1 ? MELD_TYPES.SET : MELD_TYPES.RUN;
+}
+
+/**
+ * Validate cards as a new meld and build the meld object
+ * @param {Array} cards - Cards in the order they are laid down
+ * @returns {Object} { ok, reasons, meld? } where meld is
+ *   { type: 'SET', cards, rank }, { type: 'RUN', cards, suit, direction }
+ *   or { type: 'WILD', cards }
+ */
+export function validateNewMeld(cards) {
+  const type = detectMeldType(cards);
+
+  if (type === MELD_TYPES.WILD) {
+    const validation = validateWildMeld(cards);
+    if (!validation.ok) {
+      return { ok: false, reasons: validation.reasons };
+    }
+    return { ok: true, reasons: [], meld: { type, cards: [...cards] } };
+  }
+
+  if (type === MELD_TYPES.SET) {
+    const validation = validateSetMeld(cards);
+    if (!validation.ok) {
+      return { ok: false, reasons: validation.reasons };
+    }
+    return {
+      ok: true,
+      reasons: [],
+      meld: { type, cards: [...cards], rank: validation.rank }
+    };
+  }
+
+  const validation = validateRunMeld(cards);
+  if (!validation.ok) {
+    return { ok: false, reasons: validation.reasons };
+  }
+  return {
+    ok: true,
+    reasons: [],
+    meld: { type, cards: [...cards], suit: validation.suit, direction: validation.direction }
+  };
+}
@@ -0,0 +1,407 @@
+/**
+ * Card Notation
+ * Compact text for cards, hands and table scenarios.
+ *
+ * Cards: rank + suit letter, e.g. "As", "Kh", "10d" (or "Td"), "2c";
+ * jokers are "Jk1" - "Jk3" for the joker picture ("Jk" alone is Jk1).
+ * Card IDs (see generateCardId) parse as well: "As_1" or "2j_107" is the
+ * card with that ID.
+ * Hands: cards separated by spaces, e.g. "As Ah 2c Jk1".
+ *
+ * Scenarios: one "key: value" line per item, "#" starts a comment:
+ *
+ *   dealer: 0
+ *   scores: 2500 -300
+ *   turn: 1
+ *   hand1: As Ah 2c Jk 5h 6h
+ *   red1: 3h
+ *   melds0: Ks Kh Kd | 5c 6c 7c
+ *   discard: 4d 9s          (top card last)
+ *   stock: 8h 8c            (top card last)
+ *
+ * Parse errors carry the bad token with its line and column.
+ */
+
+import { createCard, RANKS, JOKER, SUIT_LETTERS, RANK_CODES } from './cardMapping.js';
+import { validateNewMeld } from './melds.js';
+import { createGameState } from './gameState.js';
+import { TURN_PHASES } from './turnPhases.js';
+import { SEAT_COUNT } from './deck.js';
+
+export const NOTATION_ERRORS = {
+  UNKNOWN_RANK: 'UNKNOWN_RANK',
+  UNKNOWN_SUIT: 'UNKNOWN_SUIT',
+  INVALID_TOKEN: 'INVALID_TOKEN',
+  UNKNOWN_KEY: 'UNKNOWN_KEY',
+  DUPLICATE_KEY: 'DUPLICATE_KEY',
+  INVALID_NUMBER: 'INVALID_NUMBER',
+  INVALID_MELD: 'INVALID_MELD'
+};
+
+/**
+ * Invert a code table
+ * @param {Object} codes - { value: code }
+ * @returns {Object} { code: value }
+ */
+function invert(codes) {
+  return Object.fromEntries(Object.entries(codes).map(([value, code]) => [code, value]));
+}
+
+// Jokers are written "Jk", so the joker letter is not a suit here
+const LETTER_SUITS = invert(SUIT_LETTERS);
+delete LETTER_SUITS[SUIT_LETTERS[JOKER]];
+
+const CODE_RANKS = {
+  ...Object.fromEntries(Object.entries(RANK_CODES).map(([rank, code]) => [code, Number(rank)])),
+  T: RANKS.TEN
+};
+
+const JOKER_PATTERN = /^jk([1-3]?)$/i;
+
+// A card ID: card code, "_" and the instance number; jokers are "1j" - "3j"
+const CARD_ID_PATTERN = /^(.+)_\d+$/;
+const JOKER_ID_PATTERN = new RegExp(`^([1-3])${SUIT_LETTERS[JOKER]}$`);
+
+/**
+ * Build a notation error
+ * @param {string} code - One of NOTATION_ERRORS
+ * @param {string} message - Human-readable explanation
+ * @param {Object} details - token, line, column
+ * @returns {Object}
+ */
+function notationError(code, message, details = {}) {
+  return { code, message, ...details };
+}
+
+/**
+ * Describe where a token is, for error messages
+ * @param {Object} position - { line?, column }
+ * @returns {string}
+ */
+function describePosition({ line, column }) {
+  return line ? `line ${line}, column ${column}` : `column ${column}`;
+}
+
+/**
+ * Format a card
+ * @param {Object} card
+ * @returns {string} e.g. "As", "10h", "Jk2"
+ */
+export function formatCard(card) {
+  if (card.suit === JOKER) return `Jk${card.rank}`;
+  return `${RANK_CODES[card.rank] || card.rank}${SUIT_LETTERS[card.suit]}`;
+}
+
+/**
+ * Format cards as a hand
+ * @param {Array} cards
+ * @returns {string} e.g. "As Ah 2c Jk1"
+ */
+export function formatHand(cards) {
+  return cards.map(formatCard).join(' ');
+}
+
+/**
+ * Parse a single card token
+ * A card ID gives the card with that ID; other tokens give a new card.
+ * @param {string} token - e.g. "As", "10h", "Jk", "As_1"
+ * @param {Object} position - Where the token is ({ line?, column }), for errors
+ * @returns {Object} { ok: boolean, card?: Object, error?: Object }
+ */
+export function parseCard(token, position = { column: 1 }) {
+  const cardId = CARD_ID_PATTERN.exec(token);
+  if (cardId) {
+    const jokerId = JOKER_ID_PATTERN.exec(cardId[1]);
+    const parsed = jokerId ? parseCard(`Jk${jokerId[1]}`, position) : parseCard(cardId[1], position);
+    if (parsed.ok) return { ok: true, card: { ...parsed.card, id: token } };
+    return {
+      ok: false,
+      error: notationError(
+        NOTATION_ERRORS.INVALID_TOKEN,
+        `Unknown card ID "${token}" at ${describePosition(position)}`,
+        { token, ...position }
+      )
+    };
+  }
+
+  const joker = JOKER_PATTERN.exec(token);
+  if (joker) {
+    return { ok: true, card: createCard(JOKER, Number(joker[1] || 1)) };
+  }
+
+  const where = describePosition(position);
+  const match = /^(10|[2-9AaTtJjQqKk])(.*)$/.exec(token);
+  if (!match) {
+    return {
+      ok: false,
+      error: notationError(
+        NOTATION_ERRORS.UNKNOWN_RANK,
+        `Unknown rank in "${token}" at ${where}`,
+        { token, ...position }
+      )
+    };
+  }
+
+  const [, rankCode, suitLetter] = match;
+  const suit = LETTER_SUITS[suitLetter.toLowerCase()];
+  if (!suit) {
+    return {
+      ok: false,
+      error: notationError(
+        NOTATION_ERRORS.UNKNOWN_SUIT,
+        suitLetter
+          ? `Unknown suit "${suitLetter}" in "${token}" at ${where}`
+          : `Missing suit in "${token}" at ${where}`,
+        { token, ...position }
+      )
+    };
+  }
+
+  const rank = CODE_RANKS[rankCode.toUpperCase()] || Number(rankCode);
+  return { ok: true, card: createCard(suit, rank) };
+}
+
+/**
+ * Rebuild a card object from an ID made by generateCardId
+ * The card keeps the given ID, so saved games restore the same cards.
+ * @param {string} id - Card ID (e.g. "As_1", "10h_7", "2j_107")
+ * @returns {Object|null} Card object, or null when the ID is not a card ID
+ */
+export function getCardFromId(id) {
+  if (!CARD_ID_PATTERN.test(id)) return null;
+  const parsed = parseCard(id);
+  return parsed.ok ? parsed.card : null;
+}
+
+/**
+ * Split text into tokens with their columns
+ * @param {string} text
+ * @param {number} offset - Column of the first character of text, minus one
+ * @returns {Array} [{ token, column }]
+ */
+function tokenize(text, offset = 0) {
+  const tokens = [];
+  const pattern = /\S+/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    tokens.push({ token: match[0], column: offset + match.index + 1 });
+  }
+  return tokens;
+}
+
+/**
+ * Parse a hand
+ * @param {string} text - e.g. "As Ah 2c Jk"
+ * @param {Object} options
+ * @param {number} options.line - Line number for error positions
+ * @param {number} options.offset - Column offset of the text within its line
+ * @returns {Object} { ok: boolean, cards: Array, errors: Array }
+ */
+export function parseHand(text, { line, offset = 0 } = {}) {
+  const cards = [];
+  const errors = [];
+
+  tokenize(text, offset).forEach(({ token, column }) => {
+    const position = line ? { line, column } : { column };
+    const result = parseCard(token, position);
+    if (result.ok) {
+      cards.push(result.card);
+    } else {
+      errors.push(result.error);
+    }
+  });
+
+  return { ok: errors.length === 0, cards, errors };
+}
+
+/**
+ * Create an empty scenario
+ * @returns {Object}
+ */
+function createEmptyScenario() {
+  return {
+    dealer: 0,
+    turn: null,
+    scores: [0, 0],
+    hands: Array.from({ length: SEAT_COUNT }, () => []),
+    redThrees: Array.from({ length: SEAT_COUNT }, () => []),
+    melds: [[], []],
+    stock: [],
+    discard: []
+  };
+}
+
+/**
+ * Parse whole numbers
+ * @param {string} value
+ * @param {Object} position - { line, offset }
+ * @param {Array} errors - Collected errors
+ * @returns {Array<number>}
+ */
+function parseNumbers(value, { line, offset }, errors) {
+  return tokenize(value, offset).map(({ token, column }) => {
+    if (!/^-?\d+$/.test(token)) {
+      errors.push(notationError(
+        NOTATION_ERRORS.INVALID_NUMBER,
+        `Expected a number, got "${token}" at line ${line}, column ${column}`,
+        { token, line, column }
+      ));
+      return null;
+    }
+    return Number(token);
+  });
+}
+
+/**
+ * Parse a table scenario
+ * @param {string} text - Scenario text (see the module comment)
+ * @returns {Object} { ok: boolean, scenario: Object, errors: Array }
+ */
+export function parseScenario(text) {
+  const scenario = createEmptyScenario();
+  const errors = [];
+  const seenKeys = new Set();
+
+  text.split('\n').forEach((rawLine, index) => {
+    const line = index + 1;
+    const content = rawLine.replace(/#.*$/, '');
+    if (!content.trim()) return;
+
+    const colon = content.indexOf(':');
+    const keyColumn = content.search(/\S/) + 1;
+    if (colon === -1) {
+      errors.push(notationError(
+        NOTATION_ERRORS.INVALID_TOKEN,
+        `Expected "key: value" at line ${line}, column ${keyColumn}`,
+        { token: content.trim(), line, column: keyColumn }
+      ));
+      return;
+    }
+
+    const key = content.slice(0, colon).trim();
+    const value = content.slice(colon + 1);
+    const position = { line, offset: colon + 1 };
+
+    if (seenKeys.has(key)) {
+      errors.push(notationError(
+        NOTATION_ERRORS.DUPLICATE_KEY,
+        `Duplicate key "${key}" at line ${line}, column ${keyColumn}`,
+        { token: key, line, column: keyColumn }
+      ));
+      return;
+    }
+    seenKeys.add(key);
+
+    const seatKey = /^(hand|red)([0-3])$/.exec(key);
+    const teamKey = /^melds([01])$/.exec(key);
+
+    if (key === 'dealer' || key === 'turn') {
+      const [seat] = parseNumbers(value, position, errors);
+      if (seat !== undefined && seat !== null) scenario[key] = seat;
+    } else if (key === 'scores') {
+      const scores = parseNumbers(value, position, errors);
+      scenario.scores = [scores[0] ?? 0, scores[1] ?? 0];
+    } else if (seatKey) {
+      const target = seatKey[1] === 'hand' ? scenario.hands : scenario.redThrees;
+      const hand = parseHand(value, position);
+      errors.push(...hand.errors);
+      target[Number(seatKey[2])] = hand.cards;
+    } else if (teamKey) {
+      let partOffset = position.offset;
+      value.split('|').forEach((part) => {
+        const meld = parseHand(part, { line, offset: partOffset });
+        errors.push(...meld.errors);
+        if (meld.cards.length > 0) {
+          scenario.melds[Number(teamKey[1])].push({
+            cards: meld.cards,
+            line,
+            column: tokenize(part, partOffset)[0].column
+          });
+        }
+        partOffset += part.length + 1;
+      });
+    } else if (key === 'stock' || key === 'discard') {
+      const pile = parseHand(value, position);
+      errors.push(...pile.errors);
+      scenario[key] = pile.cards;
+    } else {
+      errors.push(notationError(
+        NOTATION_ERRORS.UNKNOWN_KEY,
+        `Unknown key "${key}" at line ${line}, column ${keyColumn}`,
+        { token: key, line, column: keyColumn }
+      ));
+    }
+  });
+
+  scenario.melds = scenario.melds.map(teamMelds => teamMelds.map(({ cards, line, column }) => {
+    const validation = validateNewMeld(cards);
+    if (!validation.ok) {
+      errors.push(notationError(
+        NOTATION_ERRORS.INVALID_MELD,
+        `${validation.reasons[0].message} (meld at line ${line}, column ${column})`,
+        { token: formatHand(cards), line, column }
+      ));
+      return null;
+    }
+    return validation.meld;
+  }).filter(Boolean));
+
+  return { ok: errors.length === 0, scenario, errors };
+}
+
+/**
+ * Format a scenario as text
+ * @param {Object} scenario - As returned by parseScenario
+ * @returns {string}
+ */
+export function formatScenario(scenario) {
+  const lines = [
+    `dealer: ${scenario.dealer}`,
+    `scores: ${scenario.scores.join(' ')}`
+  ];
+  if (scenario.turn !== null && scenario.turn !== undefined) {
+    lines.push(`turn: ${scenario.turn}`);
+  }
+
+  scenario.hands.forEach((hand, seat) => lines.push(`hand${seat}: ${formatHand(hand)}`));
+  scenario.redThrees.forEach((cards, seat) => {
+    if (cards.length > 0) lines.push(`red${seat}: ${formatHand(cards)}`);
+  });
+  scenario.melds.forEach((melds, team) => {
+    if (melds.length > 0) {
+      lines.push(`melds${team}: ${melds.map(meld => formatHand(meld.cards)).join(' | ')}`);
+    }
+  });
+  lines.push(`discard: ${formatHand(scenario.discard)}`);
+  lines.push(`stock: ${formatHand(scenario.stock)}`);
+
+  return lines.map(line => line.trimEnd()).join('\n');
+}
+
+/**
+ * Build a game state from a scenario
+ * The state starts in BEFORE_DRAW for the scenario's turn (or the first player).
+ * @param {Object} scenario - As returned by parseScenario
+ * @returns {Object} Game state
+ */
+export function createScenarioState(scenario) {
+  const state = createGameState({
+    hands: scenario.hands,
+    stock: scenario.stock,
+    dealer: scenario.dealer,
+    teamScores: scenario.scores
+  });
+
+  state.redThrees = scenario.redThrees.map(cards => [...cards]);
+  state.teams.forEach((team, index) => {
+    team.melds = scenario.melds[index].map(meld => ({ ...meld, cards: [...meld.cards] }));
+    team.openedTurn = team.melds.length > 0 ? 0 : null;
+  });
+  state.discardPile.cards = [...scenario.discard];
+  state.redThreesDone = SEAT_COUNT;
+  state.turnPhase = TURN_PHASES.BEFORE_DRAW;
+  state.currentSeat = scenario.turn ?? state.firstPlayer;
+  state.turnNumber = 1;
+
+  return state;
+}
@@ -0,0 +1,83 @@
+/**
+ * Opening
+ * Checks a team's first meld group against the opening threshold (section 13)
+ *
+ * | Team score          | Minimum |
+ * | below 2500 (or < 0) | 60      |
+ * | 2500 - 4995         | 90      |
+ * | 5000 - 7495         | 120     |
+ * | 7500+               | 150     |
+ *
+ * Opening directly with a canasta is always allowed, whatever its points.
+ * A team may open and close in the same turn, as long as one card is left
+ * for the closing discard (the discard does not count towards the opening).
+ */
+
+import { sumCardPoints } from './cardRules.js';
+import { meldReason } from './meldRules.js';
+import { classifyMeld } from './canasta.js';
+
+export const OPENING_THRESHOLDS = [
+  { fromScore: 7500, minimum: 150 },
+  { fromScore: 5000, minimum: 120 },
+  { fromScore: 2500, minimum: 90 },
+  { fromScore: -Infinity, minimum: 60 }
+];
+
+export const OPENING_ERRORS = {
+  NO_MELDS: 'NO_MELDS',
+  BELOW_THRESHOLD: 'BELOW_THRESHOLD',
+  NO_CARD_TO_DISCARD: 'NO_CARD_TO_DISCARD'
+};
+
+/**
+ * Get the minimum opening value for a team score
+ * @param {number} teamScore - Team's running score (can be negative)
+ * @returns {number}
+ */
+export function getOpeningThreshold(teamScore) {
+  return OPENING_THRESHOLDS.find(entry => teamScore >= entry.fromScore).minimum;
+}
+
+/**
+ * Check a proposed opening
+ * @param {Array} melds - Validated meld objects laid down to open
+ * @param {number} teamScore - Team's running score
+ * @param {Object} options - Optional: cardsLeftInHand (cards in hand after melding)
+ * @returns {Object} { ok, reasons, threshold, points, missing, openedWithCanasta, closesDeal }
+ */
+export function checkOpening(melds, teamScore, options = {}) {
+  const threshold = getOpeningThreshold(teamScore);
+  const points = melds.reduce((total, meld) => total + sumCardPoints(meld.cards), 0);
+  const openedWithCanasta = melds.some(meld => classifyMeld(meld).isCanasta);
+  const missing = openedWithCanasta ? 0 : Math.max(0, threshold - points);
+  const cardsLeftInHand = options.cardsLeftInHand;
+  const reasons = [];
+
+  if (melds.length === 0) {
+    reasons.push(meldReason(OPENING_ERRORS.NO_MELDS, 'Opening needs at least one valid meld'));
+  } else if (missing > 0) {
+    reasons.push(meldReason(
+      OPENING_ERRORS.BELOW_THRESHOLD,
+      `Opening needs ${threshold} points: ${missing} more points required`,
+      { threshold, points, missing }
+    ));
+  }
+
+  if (cardsLeftInHand === 0) {
+    reasons.push(meldReason(
+      OPENING_ERRORS.NO_CARD_TO_DISCARD,
+      'At least one card must stay in hand for the discard'
+    ));
+  }
+
+  return {
+    ok: reasons.length === 0,
+    reasons,
+    threshold,
+    points,
+    missing,
+    openedWithCanasta,
+    closesDeal: cardsLeftInHand === 1
+  };
+}
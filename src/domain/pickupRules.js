@@ -0,0 +1,129 @@
+/**
+ * Pickup Rules
+ * Validates the "key" a player offers to take the discard pile (section 12.1)
+ *
+ * - set key: 2 natural cards of the top card's rank
+ * - run key: 2 cards of the top card's suit forming a run with it
+ * - wild key: 5 wild cards
+ *
+ * The key and the top card are laid down together as a new meld.
+ */
+
+import { RANKS } from './cardMapping.js';
+import { isWildCard, isNaturalCard } from './cardRules.js';
+import { meldReason, validateSetMeld } from './meldRules.js';
+import { validateRunMeld, toRunRank } from './runRules.js';
+import { MELD_TYPES } from './melds.js';
+
+export const PICKUP_KEY_TYPES = {
+  SET: 'SET',
+  RUN: 'RUN',
+  WILD: 'WILD'
+};
+
+export const NATURAL_KEY_SIZE = 2;
+export const WILD_KEY_SIZE = 5;
+
+export const PICKUP_ERRORS = {
+  EMPTY_PILE: 'EMPTY_PILE',
+  THREE_ON_TOP: 'THREE_ON_TOP',
+  INVALID_KEY_SIZE: 'INVALID_KEY_SIZE',
+  INVALID_KEY: 'INVALID_KEY'
+};
+
+/**
+ * Arrange a run key with the top card into a legal run
+ * Runs are laid ascending; a 9 at either end makes the key illegal in
+ * both directions.
+ * @param {Array} cards - Key cards plus the top card
+ * @returns {Object} Run validation result with the arranged cards
+ */
+function arrangeRunKey(cards) {
+  const arranged = [...cards].sort((a, b) => toRunRank(a) - toRunRank(b));
+  return { ...validateRunMeld(arranged), cards: arranged };
+}
+
+/**
+ * Validate a pickup key against the top card of the discard pile
+ * @param {Object|null} topCard - Top card of the discard pile
+ * @param {Array} keyCards - Cards from hand offered as the key
+ * @returns {Object} { ok, reasons, keyType?, meld? } - meld is the combination laid down
+ */
+export function validatePickupKey(topCard, keyCards) {
+  if (!topCard) {
+    return { ok: false, reasons: [meldReason(PICKUP_ERRORS.EMPTY_PILE, 'The discard pile is empty')] };
+  }
+
+  if (keyCards.length === WILD_KEY_SIZE) {
+    if (!keyCards.every(isWildCard)) {
+      return {
+        ok: false,
+        reasons: [meldReason(PICKUP_ERRORS.INVALID_KEY, `A ${WILD_KEY_SIZE}-card key must be made only of wild cards`)]
+      };
+    }
+    const cards = isWildCard(topCard) ? [...keyCards, topCard] : [...keyCards];
+    return {
+      ok: true,
+      reasons: [],
+      keyType: PICKUP_KEY_TYPES.WILD,
+      meld: { type: MELD_TYPES.WILD, cards }
+    };
+  }
+
+  if (keyCards.length !== NATURAL_KEY_SIZE) {
+    return {
+      ok: false,
+      reasons: [meldReason(
+        PICKUP_ERRORS.INVALID_KEY_SIZE,
+        `A key is ${NATURAL_KEY_SIZE} natural cards or ${WILD_KEY_SIZE} wild cards`,
+        { count: keyCards.length }
+      )]
+    };
+  }
+
+  if (topCard.rank === RANKS.THREE && !isWildCard(topCard)) {
+    return {
+      ok: false,
+      reasons: [meldReason(PICKUP_ERRORS.THREE_ON_TOP, 'A three on top of the pile cannot be keyed')]
+    };
+  }
+
+  if (!isNaturalCard(topCard) || !keyCards.every(isNaturalCard)) {
+    return {
+      ok: false,
+      reasons: [meldReason(PICKUP_ERRORS.INVALID_KEY, 'A 2-card key must be made of natural cards matching a natural top card')]
+    };
+  }
+
+  if (keyCards.every(card => card.rank === topCard.rank)) {
+    const cards = [...keyCards, topCard];
+    const validation = validateSetMeld(cards);
+    if (validation.ok) {
+      return {
+        ok: true,
+        reasons: [],
+        keyType: PICKUP_KEY_TYPES.SET,
+        meld: { type: MELD_TYPES.SET, cards, rank: validation.rank }
+      };
+    }
+    return { ok: false, reasons: validation.reasons };
+  }
+
+  const run = arrangeRunKey([...keyCards, topCard]);
+  if (run.ok) {
+    return {
+      ok: true,
+      reasons: [],
+      keyType: PICKUP_KEY_TYPES.RUN,
+      meld: { type: MELD_TYPES.RUN, cards: run.cards, suit: run.suit, direction: run.direction }
+    };
+  }
+
+  return {
+    ok: false,
+    reasons: [meldReason(
+      PICKUP_ERRORS.INVALID_KEY,
+      'The key must be 2 cards of the top card\'s rank or 2 cards forming a run with it'
+    )]
+  };
+}
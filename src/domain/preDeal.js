@@ -0,0 +1,118 @@
+/**
+ * Pre-Deal Privilege
+ * The first player's right to the bottom 3 cards of the deck (section 6)
+ *
+ * Before the deal the first player (left of the dealer) may look at the
+ * bottom 3 cards, keep 0-3 of them and return the rest to their exact
+ * places. The dealer then skips that player once per kept card, so every
+ * player still ends with 13 cards.
+ */
+
+import { RANKS } from './cardMapping.js';
+import { isWildCard, isRedThree } from './cardRules.js';
+import { dealHands, SEAT_COUNT } from './deck.js';
+
+export const BOTTOM_CARDS_COUNT = 3;
+
+export const PRE_DEAL_PHASES = {
+  AWAITING_CHOICE: 'AWAITING_CHOICE',
+  READY_TO_DEAL: 'READY_TO_DEAL',
+  DEALT: 'DEALT'
+};
+
+/**
+ * Start the pre-deal phase
+ * @param {Array} deck - Shuffled deck (bottom = first card)
+ * @param {number} dealer - Dealer's seat
+ * @returns {Object} Pre-deal state
+ */
+export function createPreDeal(deck, dealer) {
+  return {
+    deck: [...deck],
+    dealer,
+    firstPlayer: (dealer + 1) % SEAT_COUNT,
+    keptCards: [],
+    phase: PRE_DEAL_PHASES.AWAITING_CHOICE
+  };
+}
+
+/**
+ * Get the bottom cards the first player may look at
+ * @param {Object} preDeal
+ * @returns {Array}
+ */
+export function getBottomCards(preDeal) {
+  return preDeal.deck.slice(0, BOTTOM_CARDS_COUNT);
+}
+
+/**
+ * Apply the first player's choice
+ * Kept cards leave the deck; the others stay exactly where they were.
+ * @param {Object} preDeal
+ * @param {Array} keptIds - IDs of the bottom cards to keep (0-3)
+ * @returns {Object} { ok: boolean, message?: string, kept?: Array }
+ */
+export function keepBottomCards(preDeal, keptIds) {
+  if (preDeal.phase !== PRE_DEAL_PHASES.AWAITING_CHOICE) {
+    return { ok: false, message: 'The bottom cards have already been chosen' };
+  }
+
+  const bottomIds = getBottomCards(preDeal).map(card => card.id);
+  const ids = new Set(keptIds);
+  if ([...ids].some(id => !bottomIds.includes(id))) {
+    return { ok: false, message: `Only the bottom ${BOTTOM_CARDS_COUNT} cards can be kept` };
+  }
+
+  const kept = preDeal.deck.filter(card => ids.has(card.id));
+  preDeal.deck = preDeal.deck.filter(card => !ids.has(card.id));
+  preDeal.keptCards = kept;
+  preDeal.phase = PRE_DEAL_PHASES.READY_TO_DEAL;
+
+  return { ok: true, kept };
+}
+
+/**
+ * Deal after the choice, skipping the first player once per kept card
+ * @param {Object} preDeal
+ * @returns {Object} { ok: boolean, message?: string, hands?: Array, stock?: Array }
+ */
+export function dealAfterPreDeal(preDeal) {
+  if (preDeal.phase !== PRE_DEAL_PHASES.READY_TO_DEAL) {
+    return { ok: false, message: 'The first player has not chosen the bottom cards yet' };
+  }
+
+  const presetHands = [];
+  presetHands[preDeal.firstPlayer] = preDeal.keptCards;
+  const { hands, stock } = dealHands(preDeal.deck, preDeal.dealer, { presetHands });
+  preDeal.phase = PRE_DEAL_PHASES.DEALT;
+
+  return { ok: true, hands, stock };
+}
+
+/**
+ * Bot decision: keep the bottom cards worth having
+ * Wilds, aces and red threes (which are replaced by a fresh draw) are kept.
+ * @param {Array} bottomCards
+ * @returns {Array} IDs of the cards to keep
+ */
+export function botChooseBottomCards(bottomCards) {
+  return bottomCards
+    .filter(card => isWildCard(card) || isRedThree(card) || card.rank === RANKS.ACE)
+    .map(card => card.id);
+}
+
+/**
+ * Run the whole pre-deal phase
+ * @param {Object} preDeal
+ * @param {Function} decide - Receives the bottom cards and returns the kept IDs
+ *   (or a Promise of them, e.g. from a UI prompt); defaults to the bot decision
+ * @returns {Promise<Object>} Result of dealAfterPreDeal
+ */
+export async function resolvePreDeal(preDeal, decide = botChooseBottomCards) {
+  const keptIds = await decide(getBottomCards(preDeal), preDeal.firstPlayer);
+  const choice = keepBottomCards(preDeal, keptIds || []);
+  if (!choice.ok) {
+    return choice;
+  }
+  return dealAfterPreDeal(preDeal);
+}
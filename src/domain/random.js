@@ -0,0 +1,53 @@
+/**
+ * Seeded Random
+ * Reproducible random numbers so deals can be replayed exactly
+ */
+
+/**
+ * Turn a seed (number or string) into a 32-bit integer
+ * @param {number|string} seed
+ * @returns {number}
+ */
+export function hashSeed(seed) {
+  const text = String(seed);
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a new random seed
+ * @returns {string}
+ */
+export function createSeed() {
+  return `${Date.now().toString(36)}-${Math.floor(Math.random() * 1e9).toString(36)}`;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number|string} seed
+ * @returns {Function} Returns a float in [0, 1) on every call
+ */
+export function createRandom(seed) {
+  let state = hashSeed(seed);
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Get a random integer in [0, max)
+ * @param {Function} random - Generator from createRandom
+ * @param {number} max
+ * @returns {number}
+ */
+export function randomInt(random, max) {
+  return Math.floor(random() * max);
+}
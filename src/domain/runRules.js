@@ -0,0 +1,195 @@
+/**
+ * Run Rules
+ * Validates runs (same-suit sequences) according to section 9.2
+ *
+ * - ranks 4 through A, threes never take part
+ * - A is high only (it can follow K, never precede 4)
+ * - a 9 can never be the first or the last card of a run
+ * - a run is built either UP or DOWN and may only grow at its end
+ *
+ * Wilds stand in for the rank of the position they occupy and follow
+ * the same placement limits as in sets (see checkWildPlacement).
+ */
+
+import { RANKS } from './cardMapping.js';
+import { isWildCard } from './cardRules.js';
+import { MIN_MELD_SIZE, meldReason, checkWildPlacement } from './meldRules.js';
+
+export const RUN_DIRECTIONS = {
+  UP: 'UP',
+  DOWN: 'DOWN'
+};
+
+export const RUN_ERRORS = {
+  TOO_FEW_CARDS: 'TOO_FEW_CARDS',
+  THREES_NOT_ALLOWED: 'THREES_NOT_ALLOWED',
+  MIXED_SUITS: 'MIXED_SUITS',
+  NOT_CONSECUTIVE: 'NOT_CONSECUTIVE',
+  OUT_OF_RANGE: 'OUT_OF_RANGE',
+  NINE_AT_START: 'NINE_AT_START',
+  NINE_AT_END: 'NINE_AT_END',
+  CANNOT_EXTEND_START: 'CANNOT_EXTEND_START',
+  NOT_A_RUN: 'NOT_A_RUN'
+};
+
+// Ace counts above the king inside runs
+const HIGH_ACE = 14;
+const MIN_RUN_RANK = RANKS.FOUR;
+const MAX_RUN_RANK = HIGH_ACE;
+
+/**
+ * Get the rank of a natural card as used in runs (A = 14)
+ * @param {object} card
+ * @returns {number}
+ */
+export function toRunRank(card) {
+  return card.rank === RANKS.ACE ? HIGH_ACE : card.rank;
+}
+
+/**
+ * Validate a run meld
+ * @param {Array} cards - Cards in the order they are laid down
+ * @returns {Object} { ok, reasons, suit?, direction?, startRank?, endRank? }
+ */
+export function validateRunMeld(cards) {
+  const reasons = [];
+
+  if (cards.length < MIN_MELD_SIZE) {
+    reasons.push(meldReason(
+      RUN_ERRORS.TOO_FEW_CARDS,
+      `A run needs at least ${MIN_MELD_SIZE} cards`,
+      { count: cards.length }
+    ));
+  }
+
+  const naturals = cards.filter(card => !isWildCard(card));
+
+  if (naturals.some(card => card.rank === RANKS.THREE)) {
+    reasons.push(meldReason(
+      RUN_ERRORS.THREES_NOT_ALLOWED,
+      'Threes cannot take part in a run'
+    ));
+  }
+
+  const suits = new Set(naturals.map(card => card.suit));
+  if (suits.size > 1) {
+    reasons.push(meldReason(
+      RUN_ERRORS.MIXED_SUITS,
+      'All natural cards in a run must be of the same suit',
+      { suits: Array.from(suits) }
+    ));
+  }
+
+  const placementReasons = checkWildPlacement(cards);
+  reasons.push(...placementReasons);
+
+  const result = { ok: false, reasons };
+  if (suits.size === 1) {
+    result.suit = naturals[0].suit;
+  }
+
+  // Direction is fixed by the first two cards, which must be naturals
+  if (cards.length < 2 || isWildCard(cards[0]) || isWildCard(cards[1])) {
+    return result;
+  }
+
+  const startRank = toRunRank(cards[0]);
+  const step = toRunRank(cards[1]) - startRank;
+
+  if (step !== 1 && step !== -1) {
+    reasons.push(meldReason(
+      RUN_ERRORS.NOT_CONSECUTIVE,
+      'Run cards must be consecutive',
+      { index: 1 }
+    ));
+    return result;
+  }
+
+  if (cards[0].rank === RANKS.NINE) {
+    reasons.push(meldReason(
+      RUN_ERRORS.NINE_AT_START,
+      'A run cannot start with a 9',
+      { index: 0 }
+    ));
+  }
+
+  for (let index = 0; index < cards.length; index++) {
+    const expectedRank = startRank + step * index;
+
+    if (expectedRank < MIN_RUN_RANK || expectedRank > MAX_RUN_RANK) {
+      reasons.push(meldReason(
+        RUN_ERRORS.OUT_OF_RANGE,
+        'Runs are limited to ranks 4 through A',
+        { index }
+      ));
+      break;
+    }
+
+    const card = cards[index];
+    if (!isWildCard(card) && toRunRank(card) !== expectedRank) {
+      reasons.push(meldReason(
+        RUN_ERRORS.NOT_CONSECUTIVE,
+        'Run cards must be consecutive',
+        { index }
+      ));
+      break;
+    }
+  }
+
+  // A wild laid last stands in for the 9 as well
+  const endRank = startRank + step * (cards.length - 1);
+  if (endRank === RANKS.NINE) {
+    reasons.push(meldReason(
+      RUN_ERRORS.NINE_AT_END,
+      'A run cannot end with a 9',
+      { index: cards.length - 1 }
+    ));
+  }
+
+  result.ok = reasons.length === 0;
+  result.direction = step === 1 ? RUN_DIRECTIONS.UP : RUN_DIRECTIONS.DOWN;
+  result.startRank = startRank;
+  result.endRank = endRank;
+  return result;
+}
+
+/**
+ * Check if cards can be added to an existing run
+ * Cards are appended after the last card, in the run's direction; the
+ * extended run must not end on a 9 either.
+ * @param {Object} run - Run meld { cards, direction }
+ * @param {Array} cards - Cards to add, in the order they are laid down
+ * @returns {Object} { ok, reasons, endRank? }
+ */
+export function canExtendRun(run, cards) {
+  if (!run || !run.direction) {
+    return {
+      ok: false,
+      reasons: [meldReason(RUN_ERRORS.NOT_A_RUN, 'Cards can only be added to a run')]
+    };
+  }
+
+  const validation = validateRunMeld([...run.cards, ...cards]);
+  const firstNew = cards[0];
+
+  // Give a clearer reason when the player tries to tuck a card in front
+  if (!validation.ok && firstNew && !isWildCard(firstNew)) {
+    const step = run.direction === RUN_DIRECTIONS.UP ? 1 : -1;
+    const startRank = toRunRank(run.cards[0]);
+    if (toRunRank(firstNew) === startRank - step && firstNew.suit === validation.suit) {
+      return {
+        ok: false,
+        reasons: [meldReason(
+          RUN_ERRORS.CANNOT_EXTEND_START,
+          'Cards can only be added at the end of a run, never at its start'
+        )]
+      };
+    }
+  }
+
+  return {
+    ok: validation.ok,
+    reasons: validation.reasons,
+    endRank: validation.endRank
+  };
+}
@@ -0,0 +1,203 @@
+/**
+ * Scoring
+ * End-of-deal scoring (section 15, FAQ 4-9)
+ *
+ * A team with at least one canasta plays "on plus":
+ *   melded cards +, canasta bonuses +, red threes +100, hand cards -
+ * A team without a canasta takes everything as minus:
+ *   melded cards -, red threes -100, hand cards -
+ * Both: black threes in hand -100 each, +100 for the closing team.
+ * Four black threes are worth +2000 when laid down by the closer,
+ * -2000 when any other player is left holding them.
+ */
+
+import { isBlackThree, sumCardPoints } from './cardRules.js';
+import { classifyMeld, MELD_KINDS } from './canasta.js';
+
+export const CLOSING_BONUS = 100;
+export const RED_THREE_POINTS = 100;
+export const BLACK_THREE_PENALTY = 100;
+export const FOUR_BLACK_THREES_POINTS = 2000;
+
+export const CANASTA_BONUSES = {
+  CLEAN_ACES: 1000,
+  CLEAN: 500,
+  DIRTY_ACES: 500,
+  DIRTY: 300,
+  BIG_WILD: 1500,
+  SMALL_WILD: 1000
+};
+
+export const SCORE_ITEMS = {
+  MELD_CARDS: 'MELD_CARDS',
+  CANASTA_BONUS: 'CANASTA_BONUS',
+  RED_THREES: 'RED_THREES',
+  BLACK_THREES: 'BLACK_THREES',
+  FOUR_BLACK_THREES: 'FOUR_BLACK_THREES',
+  HAND_CARDS: 'HAND_CARDS',
+  CLOSING_BONUS: 'CLOSING_BONUS'
+};
+
+export const CLOSING_TYPES = {
+  PLUS: 'PLUS',
+  MINUS: 'MINUS'
+};
+
+/**
+ * Get the bonus for a canasta (0 for melds that are not canastas)
+ * @param {Object} meld - Meld object
+ * @returns {number}
+ */
+export function getCanastaBonus(meld) {
+  const { kind, isAces } = classifyMeld(meld);
+
+  switch (kind) {
+    case MELD_KINDS.CLEAN_CANASTA:
+      return isAces ? CANASTA_BONUSES.CLEAN_ACES : CANASTA_BONUSES.CLEAN;
+    case MELD_KINDS.DIRTY_CANASTA:
+      return isAces ? CANASTA_BONUSES.DIRTY_ACES : CANASTA_BONUSES.DIRTY;
+    case MELD_KINDS.BIG_WILD_CANASTA:
+      return CANASTA_BONUSES.BIG_WILD;
+    case MELD_KINDS.SMALL_WILD_CANASTA:
+      return CANASTA_BONUSES.SMALL_WILD;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Score black threes left in one player's hand
+ * @param {Array} hand
+ * @returns {Object|null} Score item or null when the hand holds none
+ */
+function scoreBlackThreesInHand(hand) {
+  const count = hand.filter(isBlackThree).length;
+  if (count === 0) return null;
+
+  if (count >= 4) {
+    return {
+      code: SCORE_ITEMS.FOUR_BLACK_THREES,
+      label: 'Four black threes left in hand',
+      count,
+      points: -FOUR_BLACK_THREES_POINTS
+    };
+  }
+
+  return {
+    code: SCORE_ITEMS.BLACK_THREES,
+    label: 'Black threes in hand',
+    count,
+    points: -BLACK_THREE_PENALTY * count
+  };
+}
+
+/**
+ * Score one team
+ * @param {Object} team - { melds, redThrees, hands, blackThreesLaid? }
+ * @param {boolean} isClosingTeam
+ * @returns {Object} { hasCanasta, items, total }
+ */
+function scoreTeam(team, isClosingTeam) {
+  const melds = team.melds || [];
+  const redThrees = team.redThrees || [];
+  const hands = team.hands || [];
+  const blackThreesLaid = team.blackThreesLaid || [];
+
+  const hasCanasta = melds.some(meld => classifyMeld(meld).isCanasta);
+  const sign = hasCanasta ? 1 : -1;
+  const items = [];
+
+  const meldCards = melds.flatMap(meld => meld.cards);
+  if (meldCards.length > 0) {
+    items.push({
+      code: SCORE_ITEMS.MELD_CARDS,
+      label: hasCanasta ? 'Melded cards' : 'Melded cards (no canasta)',
+      count: meldCards.length,
+      points: sign * sumCardPoints(meldCards)
+    });
+  }
+
+  if (hasCanasta) {
+    melds.forEach(meld => {
+      const bonus = getCanastaBonus(meld);
+      if (bonus > 0) {
+        items.push({
+          code: SCORE_ITEMS.CANASTA_BONUS,
+          label: 'Canasta bonus',
+          kind: classifyMeld(meld).kind,
+          points: bonus
+        });
+      }
+    });
+  }
+
+  if (redThrees.length > 0) {
+    items.push({
+      code: SCORE_ITEMS.RED_THREES,
+      label: hasCanasta ? 'Red threes' : 'Red threes (no canasta)',
+      count: redThrees.length,
+      points: sign * RED_THREE_POINTS * redThrees.length
+    });
+  }
+
+  if (blackThreesLaid.length >= 4) {
+    items.push({
+      code: SCORE_ITEMS.FOUR_BLACK_THREES,
+      label: 'Four black threes laid by the closer',
+      count: blackThreesLaid.length,
+      points: FOUR_BLACK_THREES_POINTS
+    });
+  }
+
+  const handCards = hands.flat();
+  if (handCards.length > 0) {
+    items.push({
+      code: SCORE_ITEMS.HAND_CARDS,
+      label: 'Cards left in hand',
+      count: handCards.length,
+      points: -sumCardPoints(handCards)
+    });
+  }
+
+  hands.forEach(hand => {
+    const item = scoreBlackThreesInHand(hand);
+    if (item) items.push(item);
+  });
+
+  if (isClosingTeam) {
+    items.push({
+      code: SCORE_ITEMS.CLOSING_BONUS,
+      label: 'Closing',
+      points: CLOSING_BONUS
+    });
+  }
+
+  return {
+    hasCanasta,
+    items,
+    total: items.reduce((total, item) => total + item.points, 0)
+  };
+}
+
+/**
+ * Score a finished deal
+ * @param {Object} deal
+ * @param {Array} deal.teams - Two teams: { melds, redThrees, hands, blackThreesLaid? }
+ *   hands is one card array per player; blackThreesLaid are the black threes
+ *   the closer laid down when going out
+ * @param {number|null} deal.closingTeam - Index of the team that closed
+ * @returns {Object} { teams: [{ team, hasCanasta, items, total }], closingType }
+ */
+export function scoreDeal({ teams, closingTeam = null }) {
+  const results = teams.map((team, index) => ({
+    team: index,
+    ...scoreTeam(team, index === closingTeam)
+  }));
+
+  let closingType = null;
+  if (closingTeam !== null && results[closingTeam]) {
+    closingType = results[closingTeam].hasCanasta ? CLOSING_TYPES.PLUS : CLOSING_TYPES.MINUS;
+  }
+
+  return { teams: results, closingType };
+}
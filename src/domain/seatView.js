@@ -0,0 +1,54 @@
+/**
+ * Seat View
+ * What one seat can see of the table: its own hand, the size of the
+ * other hands and everything that lies face up (melds, red threes, the
+ * discard pile). Strategies decide from this view, never from the full
+ * game state, so they cannot peek at other hands or the stock.
+ *
+ * Public parts keep the state's field names (currentSeat, turnPhase,
+ * teams, discardPile), so the turn checks also accept a view.
+ */
+
+import { getTeamOf } from './gameState.js';
+import { getPileBlock } from './discardPile.js';
+
+/**
+ * Copy a list of melds so the view cannot change the state
+ * @param {Array} melds
+ * @returns {Array}
+ */
+function copyMelds(melds) {
+  return melds.map(meld => ({ ...meld, cards: [...meld.cards] }));
+}
+
+/**
+ * Build the view of the table for a seat
+ * @param {Object} state - Game state
+ * @param {number} seat
+ * @returns {Object} { seat, team, dealer, firstPlayer, currentSeat, turnPhase, turnNumber,
+ *   hand, handCounts, redThrees, teams, discardPile, stockCount }
+ */
+export function createSeatView(state, seat) {
+  return {
+    seat,
+    team: getTeamOf(seat),
+    dealer: state.dealer,
+    firstPlayer: state.firstPlayer,
+    currentSeat: state.currentSeat,
+    turnPhase: state.turnPhase,
+    turnNumber: state.turnNumber,
+    hand: [...state.hands[seat]],
+    handCounts: state.hands.map(hand => hand.length),
+    redThrees: state.redThrees.map(cards => [...cards]),
+    teams: state.teams.map(team => ({
+      melds: copyMelds(team.melds),
+      score: team.score,
+      openedTurn: team.openedTurn
+    })),
+    discardPile: {
+      cards: [...state.discardPile.cards],
+      block: getPileBlock(state.discardPile)
+    },
+    stockCount: state.stock.cards.length
+  };
+}
@@ -0,0 +1,223 @@
+/**
+ * Game Snapshot
+ * Versioned JSON format for saving a game and picking it up later.
+ *
+ * A snapshot holds the match (seed, scores, dealer, deals), the running
+ * deal's state and its action log. Cards are stored by ID and rebuilt
+ * with getCardFromId, so a snapshot is small and has no presentation data.
+ *
+ * Version history:
+ * 1 - cards by ID, explicit version and save time
+ *
+ * Older snapshots are brought up to date by SNAPSHOT_MIGRATIONS, one
+ * version at a time, before they are restored. There is no older
+ * version yet, so the registry is empty.
+ */
+
+import { getCardFromId } from './notation.js';
+import { ACTION_TYPES } from './actionRecords.js';
+
+export const SNAPSHOT_VERSION = 1;
+
+/**
+ * Store cards by ID
+ * @param {Array} cards
+ * @returns {Array<string>}
+ */
+function toIds(cards) {
+  return cards.map(card => card.id);
+}
+
+/**
+ * Rebuild cards from IDs
+ * @param {Array<string>} ids
+ * @returns {Array} Card objects
+ * @throws {Error} When an ID is not a card ID
+ */
+function fromIds(ids) {
+  return ids.map((id) => {
+    const card = getCardFromId(id);
+    if (!card) {
+      throw new Error(`Unknown card ID in snapshot: ${id}`);
+    }
+    return card;
+  });
+}
+
+/**
+ * Deep copy plain data
+ * @param {*} value
+ * @returns {*}
+ */
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Serialise a game state
+ * @param {Object} state - Game state
+ * @returns {Object}
+ */
+function serializeState(state) {
+  return {
+    dealer: state.dealer,
+    firstPlayer: state.firstPlayer,
+    hands: state.hands.map(toIds),
+    redThrees: state.redThrees.map(toIds),
+    teams: state.teams.map(team => ({
+      melds: team.melds.map(meld => ({ ...meld, cards: toIds(meld.cards) })),
+      score: team.score,
+      openedTurn: team.openedTurn
+    })),
+    stock: toIds(state.stock.cards),
+    discardPile: {
+      cards: toIds(state.discardPile.cards),
+      block: clone(state.discardPile.block)
+    },
+    events: clone(state.events),
+    currentSeat: state.currentSeat,
+    turnPhase: state.turnPhase,
+    turnNumber: state.turnNumber,
+    redThreesDone: state.redThreesDone,
+    result: clone(state.result)
+  };
+}
+
+/**
+ * Rebuild a game state
+ * @param {Object} data - Serialised state
+ * @returns {Object} Game state
+ */
+function deserializeState(data) {
+  return {
+    dealer: data.dealer,
+    firstPlayer: data.firstPlayer,
+    hands: data.hands.map(fromIds),
+    redThrees: data.redThrees.map(fromIds),
+    teams: data.teams.map(team => ({
+      melds: team.melds.map(meld => ({ ...meld, cards: fromIds(meld.cards) })),
+      score: team.score,
+      openedTurn: team.openedTurn ?? null
+    })),
+    stock: { cards: fromIds(data.stock) },
+    discardPile: {
+      cards: fromIds(data.discardPile.cards),
+      block: data.discardPile.block ?? null
+    },
+    events: data.events || [],
+    currentSeat: data.currentSeat,
+    turnPhase: data.turnPhase,
+    turnNumber: data.turnNumber ?? 0,
+    redThreesDone: data.redThreesDone ?? 0,
+    result: data.result ?? null
+  };
+}
+
+/**
+ * Serialise an action log (dealt cards by ID)
+ * @param {Object} log
+ * @returns {Object}
+ */
+function serializeLog(log) {
+  return {
+    setup: clone(log.setup),
+    records: log.records.map(record => (record.type === ACTION_TYPES.DEAL
+      ? { ...record, hands: record.hands.map(toIds), stock: toIds(record.stock) }
+      : clone(record)))
+  };
+}
+
+/**
+ * Rebuild an action log
+ * @param {Object} data - Serialised log
+ * @returns {Object}
+ */
+function deserializeLog(data) {
+  return {
+    setup: data.setup,
+    records: data.records.map(record => (record.type === ACTION_TYPES.DEAL
+      ? { ...record, hands: record.hands.map(fromIds), stock: fromIds(record.stock) }
+      : record))
+  };
+}
+
+/**
+ * Migrations from a version to the next one
+ * Each takes the snapshot data of its version and returns the next version.
+ */
+export const SNAPSHOT_MIGRATIONS = {};
+
+/**
+ * Create a snapshot of a game
+ * @param {Object} game
+ * @param {Object} game.match - Match object
+ * @param {Object} game.state - Game state of the running deal
+ * @param {Object} game.log - Action log of the running deal
+ * @returns {Object} JSON-ready snapshot
+ */
+export function createSnapshot({ match, state, log }) {
+  return {
+    version: SNAPSHOT_VERSION,
+    savedAt: new Date().toISOString(),
+    match: clone(match),
+    state: state ? serializeState(state) : null,
+    log: log ? serializeLog(log) : null
+  };
+}
+
+/**
+ * Bring snapshot data up to the current version
+ * @param {Object} data - Parsed snapshot JSON
+ * @returns {Object} { ok: boolean, message?: string, data?: Object, migratedFrom?: number }
+ */
+export function migrateSnapshot(data) {
+  if (!data || typeof data !== 'object') {
+    return { ok: false, message: 'Snapshot is not an object' };
+  }
+
+  const migratedFrom = data.version;
+  if (!Number.isInteger(migratedFrom)) {
+    return { ok: false, message: 'Snapshot has no version' };
+  }
+  if (migratedFrom > SNAPSHOT_VERSION) {
+    return { ok: false, message: `Snapshot version ${migratedFrom} is newer than supported (${SNAPSHOT_VERSION})` };
+  }
+
+  let current = data;
+  for (let version = migratedFrom; version < SNAPSHOT_VERSION; version++) {
+    const migrate = SNAPSHOT_MIGRATIONS[version];
+    if (!migrate) {
+      return { ok: false, message: `No migration from snapshot version ${version}` };
+    }
+    try {
+      current = migrate(current);
+    } catch (error) {
+      return { ok: false, message: `Migration from snapshot version ${version} failed: ${error.message}` };
+    }
+  }
+
+  return { ok: true, data: current, migratedFrom };
+}
+
+/**
+ * Restore a game from snapshot data of any supported version
+ * @param {Object} data - Parsed snapshot JSON
+ * @returns {Object} { ok: boolean, message?: string, match?: Object, state?: Object, log?: Object, savedAt?: string }
+ */
+export function restoreSnapshot(data) {
+  const migration = migrateSnapshot(data);
+  if (!migration.ok) return migration;
+
+  const snapshot = migration.data;
+  try {
+    return {
+      ok: true,
+      match: clone(snapshot.match),
+      state: snapshot.state ? deserializeState(snapshot.state) : null,
+      log: snapshot.log ? deserializeLog(snapshot.log) : null,
+      savedAt: snapshot.savedAt
+    };
+  } catch (error) {
+    return { ok: false, message: error.message };
+  }
+}
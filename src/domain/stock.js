@@ -0,0 +1,83 @@
+/**
+ * Stock Model
+ * The face-down deck players draw from (top = last card) and its
+ * recycling when it runs out (section 16):
+ *
+ * - the top card of the discard pile stays where it is (with its block)
+ * - every other discard is turned face down to form the new stock
+ * - this happens right before the draw that needs it
+ */
+
+import { getPileSize } from './discardPile.js';
+
+export const STOCK_EVENTS = {
+  RECYCLED: 'STOCK_RECYCLED',
+  EXHAUSTED: 'STOCK_EXHAUSTED'
+};
+
+/**
+ * Create a stock
+ * @param {Array} cards - Cards with the top of the stock last
+ * @returns {Object} { cards: Array }
+ */
+export function createStock(cards = []) {
+  return {
+    cards: [...cards]
+  };
+}
+
+/**
+ * Get the number of cards in the stock
+ * @param {Object} stock
+ * @returns {number}
+ */
+export function getStockSize(stock) {
+  return stock.cards.length;
+}
+
+/**
+ * Turn the discard pile (except its top card) face down into the stock
+ * Turning the pile over puts its bottom card on top of the new stock.
+ * @param {Object} stock
+ * @param {Object} pile - Discard pile
+ * @returns {Object} { ok: boolean, count: number }
+ */
+export function recycleDiscardPile(stock, pile) {
+  if (getPileSize(pile) < 2) {
+    return { ok: false, count: 0 };
+  }
+
+  const topCard = pile.cards[pile.cards.length - 1];
+  const recycled = pile.cards.slice(0, -1);
+  pile.cards = [topCard];
+  stock.cards = [...recycled.reverse(), ...stock.cards];
+
+  return { ok: true, count: recycled.length };
+}
+
+/**
+ * Draw cards from the stock, recycling the discard pile first when needed
+ * @param {Object} stock
+ * @param {Object} pile - Discard pile
+ * @param {number} count - Number of cards to draw
+ * @returns {Object} { cards: Array, events: Array } - events are
+ *   { type: STOCK_RECYCLED, count } / { type: STOCK_EXHAUSTED } for the UI
+ */
+export function drawFromStock(stock, pile, count = 1) {
+  const cards = [];
+  const events = [];
+
+  while (cards.length < count) {
+    if (stock.cards.length === 0) {
+      const recycle = recycleDiscardPile(stock, pile);
+      if (!recycle.ok) {
+        events.push({ type: STOCK_EVENTS.EXHAUSTED });
+        break;
+      }
+      events.push({ type: STOCK_EVENTS.RECYCLED, count: recycle.count });
+    }
+    cards.push(stock.cards.pop());
+  }
+
+  return { cards, events };
+}
@@ -0,0 +1,91 @@
+/**
+ * Turn Phases
+ * The phase machine a deal runs through:
+ *
+ * PRE_DEAL -> RED_THREES -> FIRST_DISCARD -> BEFORE_DRAW
+ *
+ * then, for every turn (section 8.1):
+ *
+ * BEFORE_DRAW -> AFTER_DRAW | AFTER_TAKE_DISCARD -> MELDING* -> discard
+ *
+ * The mandatory discard ends the turn and hands BEFORE_DRAW to the next
+ * seat, or ends the deal (DEAL_OVER) when it closes.
+ * Moves that are not in TURN_TRANSITIONS are rejected with an error code.
+ */
+
+export const TURN_PHASES = {
+  PRE_DEAL: 'PRE_DEAL',
+  RED_THREES: 'RED_THREES',
+  FIRST_DISCARD: 'FIRST_DISCARD',
+  BEFORE_DRAW: 'BEFORE_DRAW',
+  AFTER_DRAW: 'AFTER_DRAW',
+  AFTER_TAKE_DISCARD: 'AFTER_TAKE_DISCARD',
+  MELDING: 'MELDING',
+  DEAL_OVER: 'DEAL_OVER'
+};
+
+export const TURN_TRANSITIONS = {
+  [TURN_PHASES.PRE_DEAL]: [TURN_PHASES.RED_THREES],
+  [TURN_PHASES.RED_THREES]: [TURN_PHASES.FIRST_DISCARD],
+  [TURN_PHASES.FIRST_DISCARD]: [TURN_PHASES.BEFORE_DRAW],
+  [TURN_PHASES.BEFORE_DRAW]: [TURN_PHASES.AFTER_DRAW, TURN_PHASES.AFTER_TAKE_DISCARD, TURN_PHASES.DEAL_OVER],
+  [TURN_PHASES.AFTER_DRAW]: [TURN_PHASES.MELDING, TURN_PHASES.BEFORE_DRAW, TURN_PHASES.DEAL_OVER],
+  [TURN_PHASES.AFTER_TAKE_DISCARD]: [TURN_PHASES.MELDING, TURN_PHASES.BEFORE_DRAW, TURN_PHASES.DEAL_OVER],
+  [TURN_PHASES.MELDING]: [TURN_PHASES.MELDING, TURN_PHASES.BEFORE_DRAW, TURN_PHASES.DEAL_OVER],
+  [TURN_PHASES.DEAL_OVER]: []
+};
+
+export const TURN_ERRORS = {
+  NO_GAME: 'NO_GAME',
+  UNKNOWN_PHASE: 'UNKNOWN_PHASE',
+  INVALID_TRANSITION: 'INVALID_TRANSITION',
+  NOT_YOUR_TURN: 'NOT_YOUR_TURN',
+  WRONG_PHASE: 'WRONG_PHASE',
+  PILE_BLOCKED: 'PILE_BLOCKED',
+  CARDS_NOT_IN_HAND: 'CARDS_NOT_IN_HAND',
+  DEAL_OVER: 'DEAL_OVER'
+};
+
+/**
+ * Build a failed turn result
+ * @param {string} code - One of TURN_ERRORS
+ * @param {string} message - Human-readable explanation
+ * @returns {Object} { ok: false, code, message }
+ */
+export function turnError(code, message) {
+  return { ok: false, code, message };
+}
+
+/**
+ * Check if the machine may move from one phase to another
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+  return (TURN_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Move a state to a new phase
+ * @param {Object} state - Anything with a turnPhase (normally the game state)
+ * @param {string} phase - Phase from TURN_PHASES
+ * @returns {Object} { ok: boolean, code?: string, message?: string }
+ */
+export function transitionTurn(state, phase) {
+  if (!state) {
+    return turnError(TURN_ERRORS.NO_GAME, 'No game is running');
+  }
+  if (!Object.values(TURN_PHASES).includes(phase)) {
+    return turnError(TURN_ERRORS.UNKNOWN_PHASE, `Unknown phase: ${phase}`);
+  }
+  if (!canTransition(state.turnPhase, phase)) {
+    return turnError(
+      TURN_ERRORS.INVALID_TRANSITION,
+      `Cannot move from ${state.turnPhase} to ${phase}`
+    );
+  }
+
+  state.turnPhase = phase;
+  return { ok: true };
+}
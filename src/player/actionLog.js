@@ -0,0 +1,155 @@
+/**
+ * Action Log
+ * Event-sourced history of a deal. The log holds the deal setup and the
+ * records returned by the actions; the game state is whatever replaying
+ * them gives, which doubles as a full audit trail.
+ *
+ * Meld steps of the current turn can be undone: the last MELD or
+ * ADD_TO_MELD record is dropped and the log replayed. Draws, pile takes
+ * and discards are final, so undo never reaches past them.
+ */
+
+import { createGameState, applyDeal, runPrePlay } from '../domain/gameState.js';
+import { ACTION_TYPES, createActionRecord } from '../domain/actionRecords.js';
+import {
+  actionDrawFromDeck,
+  actionTakeDiscardPile,
+  actionMeldSelected,
+  actionAddToMeld,
+  actionDiscardSelected
+} from './playerActions.js';
+
+export { ACTION_TYPES };
+
+// Records that only arrange melds within a turn and can be undone
+const MELD_STEPS = [ACTION_TYPES.MELD, ACTION_TYPES.ADD_TO_MELD];
+
+/**
+ * Create an empty log for a deal
+ * @param {Object} setup
+ * @param {number} setup.dealer - Dealer's seat
+ * @param {Array} setup.teamScores - Running match score per team
+ * @returns {Object} { setup, records }
+ */
+export function createActionLog({ dealer, teamScores = [0, 0] }) {
+  return {
+    setup: { dealer, teamScores: [...teamScores] },
+    records: []
+  };
+}
+
+/**
+ * Create the record of a dealt hand
+ * @param {Object} deal - { hands, stock }
+ * @returns {Object}
+ */
+export function createDealRecord({ hands, stock }) {
+  return createActionRecord(ACTION_TYPES.DEAL, null, {
+    hands: hands.map(hand => [...hand]),
+    stock: [...stock]
+  });
+}
+
+/**
+ * Apply one record to a state
+ * @param {Object} state - Game state
+ * @param {Object} record - Action record
+ * @returns {Object} Result of the underlying action
+ */
+export function applyRecord(state, record) {
+  switch (record.type) {
+    case ACTION_TYPES.DEAL:
+      return applyDeal(state, record);
+    case ACTION_TYPES.PRE_PLAY:
+      return runPrePlay(state);
+    case ACTION_TYPES.DRAW:
+      return actionDrawFromDeck(state, record.seat);
+    case ACTION_TYPES.TAKE_DISCARD:
+      return actionTakeDiscardPile(state, record.seat, record.cardIds);
+    case ACTION_TYPES.MELD:
+      return actionMeldSelected(state, record.seat, record.cardIds);
+    case ACTION_TYPES.ADD_TO_MELD:
+      return actionAddToMeld(state, record.seat, record.meldIndex, record.cardIds);
+    case ACTION_TYPES.DISCARD:
+      return actionDiscardSelected(state, record.seat, record.cardIds, {
+        confirmMinus: Boolean(record.confirmMinus),
+        layBlackThrees: Boolean(record.layBlackThrees)
+      });
+    default:
+      return { ok: false, message: `Unknown action record: ${record.type}` };
+  }
+}
+
+/**
+ * Rebuild the game state by replaying the whole log
+ * @param {Object} log
+ * @returns {Object} { ok: boolean, state?: Object, message?: string, index?: number }
+ */
+export function replayLog(log) {
+  const state = createGameState(log.setup);
+
+  for (let index = 0; index < log.records.length; index++) {
+    const result = applyRecord(state, log.records[index]);
+    if (!result.ok) {
+      return { ok: false, message: `Record ${index} failed: ${result.message}`, index };
+    }
+  }
+
+  return { ok: true, state };
+}
+
+/**
+ * Apply a record to the live state and append it to the log when it succeeds
+ * @param {Object} log
+ * @param {Object} state - Live game state (the result of replaying the log)
+ * @param {Object} record - Action record
+ * @returns {Object} Result of the underlying action
+ */
+export function dispatchRecord(log, state, record) {
+  const result = applyRecord(state, record);
+  if (result.ok) {
+    log.records.push(result.record || record);
+  }
+  return result;
+}
+
+/**
+ * Append the record of an action that was already applied to the live state
+ * @param {Object} log
+ * @param {Object} result - Successful action result carrying a record
+ */
+export function appendRecord(log, result) {
+  if (result.ok && result.record) {
+    log.records.push(result.record);
+  }
+}
+
+/**
+ * Check if the last step of the current turn can be undone
+ * @param {Object} log
+ * @returns {boolean}
+ */
+export function canUndo(log) {
+  const last = log ? log.records[log.records.length - 1] : null;
+  return Boolean(last) && MELD_STEPS.includes(last.type);
+}
+
+/**
+ * Undo the last meld step of the current turn
+ * @param {Object} log
+ * @returns {Object} { ok: boolean, message?: string, state?: Object, record?: Object }
+ */
+export function undoLastMeld(log) {
+  if (!canUndo(log)) {
+    return { ok: false, message: 'Nothing to undo in this turn' };
+  }
+
+  const record = log.records.pop();
+  const replay = replayLog(log);
+  if (!replay.ok) {
+    log.records.push(record);
+    return replay;
+  }
+
+  return { ok: true, state: replay.state, record };
+}
@@ -0,0 +1,341 @@
+/**
+ * Bot Player
+ * Heuristic computer opponent for empty seats. A bot decides one step at
+ * a time from its seat view (see domain/seatView.js) and returns the
+ * action record for it, so its moves go through the same actions (and
+ * the same action log) as a human's.
+ *
+ * Heuristics:
+ * - take the pile when a key is in hand and the team has opened (or the
+ *   key meld alone reaches the opening threshold), otherwise draw
+ * - open with the first meld (padded with wilds, or of wilds only) that
+ *   reaches the threshold, or with two melds that reach it together
+ * - once opened, lay down every set and run, then extend team melds
+ * - keep four cards in hand until the team has a canasta, then meld
+ *   down to the closing discard; close on minus only when the opponents
+ *   already have a canasta
+ * - discard threes first, then lone cards the opponents cannot use
+ */
+
+import { isWildCard, isNaturalCard, isBlackThree, isRedThree, getCardPoints } from '../domain/cardRules.js';
+import { MELD_TYPES } from '../domain/melds.js';
+import { canAddToMeld, classifyMeld } from '../domain/canasta.js';
+import { checkOpening } from '../domain/opening.js';
+import { findNewMelds, placeOnTeamMelds, listOpeningMelds } from '../domain/meldSearch.js';
+import { validatePickupKey, PICKUP_KEY_TYPES } from '../domain/pickupRules.js';
+import { getTopCard } from '../domain/discardPile.js';
+import { hasCanasta } from '../domain/closing.js';
+import { hasTeamOpened } from '../domain/gameState.js';
+import { createSeatView } from '../domain/seatView.js';
+import { ACTION_TYPES, createActionRecord } from '../domain/actionRecords.js';
+import { canTakeDiscardPile, canMeld, TURN_PHASES } from './playerTurn.js';
+import { dispatchRecord } from './actionLog.js';
+
+export const DEFAULT_BOT_DELAY = 800;
+
+// Cards kept in hand while the team has no canasta to close with
+export const MIN_CARDS_KEPT = 4;
+
+const PLAY_PHASES = [
+  TURN_PHASES.BEFORE_DRAW,
+  TURN_PHASES.AFTER_DRAW,
+  TURN_PHASES.AFTER_TAKE_DISCARD,
+  TURN_PHASES.MELDING
+];
+
+/**
+ * Get the IDs of cards
+ * @param {Array} cards
+ * @returns {Array<string>}
+ */
+function idsOf(cards) {
+  return cards.map(card => card.id);
+}
+
+/**
+ * Check if the opponents of the viewing seat have a canasta
+ * @param {Object} view - Seat view
+ * @returns {boolean}
+ */
+function opponentsHaveCanasta(view) {
+  return hasCanasta(view.teams[1 - view.team].melds);
+}
+
+/**
+ * Check if a move may leave the given number of cards in hand
+ * Without a canasta the hand keeps a few cards to build one with; one
+ * card is only left when discarding it will close the deal.
+ * @param {Object} view - Seat view
+ * @param {number} cardsLeft - Cards in hand after the move
+ * @param {boolean} makesCanasta - The move itself completes a canasta
+ * @param {number} minCardsKept - Cards to keep while the team has no canasta
+ * @returns {boolean}
+ */
+function mayLeaveCards(view, cardsLeft, makesCanasta, minCardsKept) {
+  if (cardsLeft < 1) return false;
+
+  const team = view.teams[view.team];
+  if (makesCanasta || hasCanasta(team.melds)) return true;
+  if (cardsLeft >= minCardsKept) return true;
+
+  const opensNow = team.openedTurn === null || team.openedTurn === view.turnNumber;
+  return cardsLeft === 1 && opensNow && opponentsHaveCanasta(view);
+}
+
+/**
+ * Find the melds to open the team with
+ * A single meld is preferred; otherwise two melds that share no card
+ * may reach the threshold together (see listOpeningMelds).
+ * @param {Object} view - Seat view
+ * @param {Array} candidates - Validated new melds
+ * @param {Function} mayLeave - (cardsLeft, makesCanasta) => boolean
+ * @returns {Array|null} Melds to lay in one action
+ */
+function findOpeningMelds(view, candidates, mayLeave) {
+  const { hand } = view;
+  const { score } = view.teams[view.team];
+  return listOpeningMelds(candidates, score, hand.length).find((melds) => {
+    const cardsLeft = hand.length - melds.reduce((count, meld) => count + meld.cards.length, 0);
+    return mayLeave(cardsLeft, melds.some(meld => classifyMeld(meld).isCanasta));
+  }) || null;
+}
+
+/**
+ * Find a pickup key in hand for the top of the discard pile
+ * Set keys are preferred over run keys.
+ * @param {Object} view - Seat view
+ * @param {Function} accept - (key) => boolean, filters the keys found
+ * @returns {Object|null} { cards, meld, keyType, cardsAfterTake }
+ */
+export function findPickupKey(view, accept = () => true) {
+  if (!canTakeDiscardPile(view, view.seat)) return null;
+
+  const topCard = getTopCard(view.discardPile);
+  const hand = view.hand.filter(isNaturalCard);
+  const keys = [];
+
+  for (let i = 0; i < hand.length; i++) {
+    for (let j = i + 1; j < hand.length; j++) {
+      const validation = validatePickupKey(topCard, [hand[i], hand[j]]);
+      if (!validation.ok) continue;
+
+      const cardsAfterTake = view.hand.length - 2 + view.discardPile.cards.length -
+        (validation.meld.cards.includes(topCard) ? 1 : 0);
+      const key = { cards: [hand[i], hand[j]], meld: validation.meld, keyType: validation.keyType, cardsAfterTake };
+      if (accept(key)) keys.push(key);
+    }
+  }
+
+  keys.sort((a, b) => (b.keyType === PICKUP_KEY_TYPES.SET) - (a.keyType === PICKUP_KEY_TYPES.SET));
+  return keys[0] || null;
+}
+
+/**
+ * Find the first card (or wild) in hand that can extend a team meld
+ * @param {Object} view - Seat view
+ * @returns {Object|null} { meldIndex, cards, makesCanasta }
+ */
+export function findMeldAddition(view) {
+  const hand = view.hand;
+  const melds = view.teams[view.team].melds;
+
+  const tryAdd = (cards) => {
+    for (let meldIndex = 0; meldIndex < melds.length; meldIndex++) {
+      const addition = canAddToMeld(melds[meldIndex], cards);
+      if (addition.ok) {
+        return { meldIndex, cards, makesCanasta: classifyMeld(addition.meld).isCanasta };
+      }
+    }
+    return null;
+  };
+
+  for (const card of hand.filter(isNaturalCard)) {
+    const found = tryAdd([card]);
+    if (found) return found;
+  }
+
+  // Wilds go where they complete a canasta, or grow the longest meld
+  // while the team has none yet
+  const byLength = melds
+    .map((meld, meldIndex) => ({ meld, meldIndex }))
+    .sort((a, b) => b.meld.cards.length - a.meld.cards.length);
+  const needsCanasta = !hasCanasta(melds);
+  for (const card of hand.filter(isWildCard)) {
+    const found = tryAdd([card]);
+    if (found && found.makesCanasta) return found;
+    if (!needsCanasta) continue;
+
+    const longest = byLength.find(({ meld }) => canAddToMeld(meld, [card]).ok);
+    if (longest) return { meldIndex: longest.meldIndex, cards: [card], makesCanasta: false };
+  }
+
+  return null;
+}
+
+/**
+ * Choose the card to discard
+ * @param {Object} view - Seat view
+ * @returns {Object} Card
+ */
+export function chooseDiscard(view) {
+  const hand = view.hand;
+  if (hand.length === 1) return hand[0];
+
+  const threes = hand.filter(card => isBlackThree(card) || isRedThree(card));
+  if (threes.length > 0) {
+    return threes.find(isBlackThree) || threes[0];
+  }
+
+  const candidates = hand.filter(card => !isWildCard(card));
+  if (candidates.length === 0) return hand[0];
+
+  const opponentMelds = view.teams[1 - view.team].melds;
+  const rankCount = card => candidates.filter(other => other.rank === card.rank).length;
+  const isUseful = card => opponentMelds.some(meld => canAddToMeld(meld, [card]).ok);
+
+  return [...candidates].sort((a, b) =>
+    (isUseful(a) - isUseful(b)) ||
+    (rankCount(a) - rankCount(b)) ||
+    (getCardPoints(b) - getCardPoints(a))
+  )[0];
+}
+
+/**
+ * Decide the bot's next step
+ * @param {Object} view - Seat view of the deciding seat
+ * @param {Object} options
+ * @param {number} options.minCardsKept - Cards to keep while the team has no canasta
+ * @returns {Object|null} Action record, or null when it is not the bot's turn
+ */
+export function chooseBotAction(view, { minCardsKept = MIN_CARDS_KEPT } = {}) {
+  const { seat, team, hand } = view;
+  if (view.currentSeat !== seat || !PLAY_PHASES.includes(view.turnPhase)) {
+    return null;
+  }
+
+  const opened = hasTeamOpened(view, team);
+  const mayLeave = (cardsLeft, makesCanasta) => mayLeaveCards(view, cardsLeft, makesCanasta, minCardsKept);
+
+  if (view.turnPhase === TURN_PHASES.BEFORE_DRAW) {
+    // The take is held to the same cards-left rule as melds and additions;
+    // a merged key is not counted as completing a canasta, which errs on keeping cards
+    const key = findPickupKey(view, ({ meld, cardsAfterTake }) =>
+      placeOnTeamMelds(view.teams[team].melds, meld) !== null &&
+      mayLeave(cardsAfterTake, false) &&
+      (opened || checkOpening([meld], view.teams[team].score, { cardsLeftInHand: cardsAfterTake }).ok));
+    if (key) {
+      return createActionRecord(ACTION_TYPES.TAKE_DISCARD, seat, { cardIds: idsOf(key.cards) });
+    }
+    return createActionRecord(ACTION_TYPES.DRAW, seat);
+  }
+
+  if (canMeld(view, seat)) {
+
+    // Once opened, wilds are saved for completing canastas
+    const newMelds = findNewMelds(hand, { maxWilds: opened ? 1 : hand.length })
+      .filter(meld => !opened || meld.type !== MELD_TYPES.WILD)
+      .filter(meld => placeOnTeamMelds(view.teams[team].melds, meld) !== null)
+      .filter(meld => mayLeave(hand.length - meld.cards.length, classifyMeld(meld).isCanasta));
+    const melds = opened ? newMelds.slice(0, 1) : findOpeningMelds(view, newMelds, mayLeave) || [];
+    if (melds.length === 1) {
+      return createActionRecord(ACTION_TYPES.MELD, seat, { cardIds: idsOf(melds[0].cards) });
+    }
+    if (melds.length > 1) {
+      return createActionRecord(ACTION_TYPES.MELD, seat, { cardIds: melds.map(meld => idsOf(meld.cards)) });
+    }
+
+    if (opened) {
+      const addition = findMeldAddition(view);
+      if (addition && mayLeave(hand.length - addition.cards.length, addition.makesCanasta)) {
+        return createActionRecord(ACTION_TYPES.ADD_TO_MELD, seat, {
+          meldIndex: addition.meldIndex,
+          cardIds: idsOf(addition.cards)
+        });
+      }
+    }
+  }
+
+  return createActionRecord(ACTION_TYPES.DISCARD, seat, {
+    cardIds: [chooseDiscard(view).id],
+    confirmMinus: true
+  });
+}
+
+/**
+ * Let a strategy play one step for the seat whose turn it is
+ * A rejected meld or pickup falls back to finishing the turn plainly, so
+ * a weak strategy cannot stall the deal. The rejected move is returned as
+ * well, so callers can report it.
+ * @param {Object} log - Action log
+ * @param {Object} state - Live game state
+ * @param {Object} strategy - { name, chooseAction }
+ * @returns {Object|null} { result, record, rejected? } where rejected is the refused { result, record },
+ *   or null when there is nothing to play
+ */
+export function playBotStep(log, state, strategy) {
+  if (!state || !PLAY_PHASES.includes(state.turnPhase)) return null;
+
+  const seat = state.currentSeat;
+  const record = strategy.chooseAction(createSeatView(state, seat));
+  if (!record) return null;
+
+  const result = dispatchRecord(log, state, record);
+  if (result.ok || record.type === ACTION_TYPES.DISCARD) {
+    return { result, record };
+  }
+
+  const fallback = state.turnPhase === TURN_PHASES.BEFORE_DRAW
+    ? createActionRecord(ACTION_TYPES.DRAW, seat)
+    : createActionRecord(ACTION_TYPES.DISCARD, seat, {
+      cardIds: [chooseDiscard(createSeatView(state, seat)).id],
+      confirmMinus: true
+    });
+  return { result: dispatchRecord(log, state, fallback), record: fallback, rejected: { result, record } };
+}
+
+/**
+ * Create a driver that plays the bot seats with a delay between steps
+ * @param {Object} options
+ * @param {Function} options.getState - Returns the live game state
+ * @param {Function} options.getLog - Returns the action log
+ * @param {Function} options.isBotSeat - Tells if a seat is played by a bot
+ * @param {Object} options.strategy - Strategy playing the bot seats (see botStrategies.js)
+ * @param {number} options.delay - Milliseconds between bot steps
+ * @param {Function} options.onAction - Called with (result, record) after every step
+ * @returns {Object} { schedule, stop }
+ */
+export function createBotDriver({ getState, getLog, isBotSeat, strategy, delay = DEFAULT_BOT_DELAY, onAction = () => {} }) {
+  let timer = null;
+
+  const stop = () => {
+    clearTimeout(timer);
+    timer = null;
+  };
+
+  const step = () => {
+    timer = null;
+    const played = playBotStep(getLog(), getState(), strategy);
+    if (!played) return;
+
+    const { result, record, rejected } = played;
+    if (rejected) {
+      console.warn('[bot]', `seat ${record.seat} ${rejected.record.type} rejected:`, rejected.result.message);
+    }
+    onAction(result, record);
+    if (result.ok) {
+      schedule();
+    } else {
+      console.warn('[bot]', `seat ${record.seat} is stuck:`, result.message);
+    }
+  };
+
+  const schedule = () => {
+    const state = getState();
+    if (timer || !state || !PLAY_PHASES.includes(state.turnPhase) || !isBotSeat(state.currentSeat)) {
+      return;
+    }
+    timer = setTimeout(step, delay);
+  };
+
+  return { schedule, stop };
+}
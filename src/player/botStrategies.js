@@ -0,0 +1,79 @@
+/**
+ * Bot Strategies
+ * A strategy is a plain object { name, chooseAction, chooseBottomCards? }:
+ * - chooseAction(view) gets the seat view of the seat to play and returns
+ *   the action record for its next step (or null to pass the decision on)
+ * - chooseBottomCards(bottomCards) optionally replaces the default
+ *   bottom-cards privilege decision
+ *
+ * Strategies never see the game state itself, only what their seat may
+ * see (domain/seatView.js), so the same strategy can drive a bot seat on
+ * the page or play headless tournaments.
+ */
+
+import { botChooseBottomCards } from '../domain/preDeal.js';
+import { ACTION_TYPES, createActionRecord } from '../domain/actionRecords.js';
+import { TURN_PHASES } from './playerTurn.js';
+import { chooseBotAction, chooseDiscard } from './botPlayer.js';
+
+/**
+ * Define a strategy
+ * @param {Object} definition
+ * @param {string} definition.name - Unique name (used on the command line and in reports)
+ * @param {Function} definition.chooseAction - (view) => action record or null
+ * @param {Function} definition.chooseBottomCards - (bottomCards) => kept IDs
+ * @returns {Object} Frozen strategy
+ * @throws {TypeError} When the definition is incomplete
+ */
+export function defineStrategy({ name, chooseAction, chooseBottomCards = botChooseBottomCards }) {
+  if (typeof name !== 'string' || name === '') {
+    throw new TypeError('A strategy needs a name');
+  }
+  if (typeof chooseAction !== 'function') {
+    throw new TypeError(`Strategy ${name} needs a chooseAction(view) function`);
+  }
+  return Object.freeze({ name, chooseAction, chooseBottomCards });
+}
+
+/**
+ * Create a strategy from the bot heuristics
+ * @param {Object} options
+ * @param {string} options.name
+ * @param {number} options.minCardsKept - Cards kept in hand while the team has no canasta
+ * @returns {Object} Strategy
+ */
+export function createHeuristicStrategy({ name = 'heuristic', minCardsKept } = {}) {
+  return defineStrategy({
+    name,
+    chooseAction: view => chooseBotAction(view, { minCardsKept })
+  });
+}
+
+export const STRATEGIES = {
+  // The bot the game page plays against
+  heuristic: createHeuristicStrategy(),
+
+  // Melds everything it can, keeping only the card to discard
+  greedy: createHeuristicStrategy({ name: 'greedy', minCardsKept: 2 }),
+
+  // Baseline: never melds, just draws and throws the discard heuristic's card
+  drawDiscard: defineStrategy({
+    name: 'drawDiscard',
+    chooseAction: (view) => {
+      if (view.currentSeat !== view.seat) return null;
+      if (view.turnPhase === TURN_PHASES.BEFORE_DRAW) {
+        return createActionRecord(ACTION_TYPES.DRAW, view.seat);
+      }
+      return createActionRecord(ACTION_TYPES.DISCARD, view.seat, { cardIds: [chooseDiscard(view).id] });
+    }
+  })
+};
+
+/**
+ * Look up a registered strategy
+ * @param {string} name
+ * @returns {Object|null}
+ */
+export function getStrategy(name) {
+  return STRATEGIES[name] || null;
+}
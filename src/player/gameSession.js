@@ -0,0 +1,51 @@
+/**
+ * Game Session
+ * The game the local player is taking part in, the seat they play and
+ * the action log the state is replayed from
+ */
+
+export const gameSession = {
+  state: null,
+  log: null,
+  seat: 0
+};
+
+/**
+ * Set the game state of the running deal
+ * @param {Object} state - Game state
+ */
+export function setGameState(state) {
+  gameSession.state = state;
+}
+
+/**
+ * Get the game state of the running deal
+ * @returns {Object|null}
+ */
+export function getGameState() {
+  return gameSession.state;
+}
+
+/**
+ * Get the local player's seat
+ * @returns {number}
+ */
+export function getLocalSeat() {
+  return gameSession.seat;
+}
+
+/**
+ * Set the action log of the running deal
+ * @param {Object} log - Action log
+ */
+export function setActionLog(log) {
+  gameSession.log = log;
+}
+
+/**
+ * Get the action log of the running deal
+ * @returns {Object|null}
+ */
+export function getActionLog() {
+  return gameSession.log;
+}
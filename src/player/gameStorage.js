@@ -0,0 +1,87 @@
+/**
+ * Game Storage
+ * Saves and loads game snapshots through a storage adapter.
+ * An adapter is anything with getItem/setItem/removeItem (the Web Storage
+ * interface); localStorage is used by default, and a memory adapter is
+ * available where there is no browser.
+ */
+
+import { restoreSnapshot } from '../domain/snapshot.js';
+
+export const SAVE_KEY = 'bulgarian-canasta:last-game';
+
+/**
+ * Create an adapter that keeps snapshots in memory
+ * @returns {Object} Storage adapter
+ */
+export function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+/**
+ * Get the default adapter (localStorage when available)
+ * @returns {Object} Storage adapter
+ */
+export function getDefaultStorage() {
+  try {
+    if (typeof localStorage !== 'undefined') return localStorage;
+  } catch (error) {
+    // Access to localStorage can throw (e.g. blocked by privacy settings)
+  }
+  return createMemoryStorage();
+}
+
+/**
+ * Save a snapshot
+ * @param {Object} snapshot - Result of createSnapshot
+ * @param {Object} storage - Storage adapter
+ * @returns {Object} { ok: boolean, message?: string }
+ */
+export function saveGame(snapshot, storage = getDefaultStorage()) {
+  try {
+    storage.setItem(SAVE_KEY, JSON.stringify(snapshot));
+    return { ok: true };
+  } catch (error) {
+    return { ok: false, message: `Could not save the game: ${error.message}` };
+  }
+}
+
+/**
+ * Load and restore the saved game
+ * @param {Object} storage - Storage adapter
+ * @returns {Object} Result of restoreSnapshot, or { ok: false, message } when nothing is saved
+ */
+export function loadGame(storage = getDefaultStorage()) {
+  const json = storage.getItem(SAVE_KEY);
+  if (!json) {
+    return { ok: false, message: 'No saved game' };
+  }
+
+  try {
+    return restoreSnapshot(JSON.parse(json));
+  } catch (error) {
+    return { ok: false, message: `Saved game is not valid JSON: ${error.message}` };
+  }
+}
+
+/**
+ * Check if a saved game exists
+ * @param {Object} storage - Storage adapter
+ * @returns {boolean}
+ */
+export function hasSavedGame(storage = getDefaultStorage()) {
+  return Boolean(storage.getItem(SAVE_KEY));
+}
+
+/**
+ * Remove the saved game
+ * @param {Object} storage - Storage adapter
+ */
+export function clearSavedGame(storage = getDefaultStorage()) {
+  storage.removeItem(SAVE_KEY);
+}
@@ -0,0 +1,206 @@
+/**
+ * Hand Drag and Drop
+ * Drags cards out of the local player's hand with pointer events, so the
+ * mouse and touch screens behave the same. Cards can be dropped on:
+ * - one of our team's meld slots (add to that meld)
+ * - the first empty meld slot (start a new meld)
+ * - the discard pile
+ * - another place in the hand (reorder the hand)
+ *
+ * Only legal targets light up. This module only knows the DOM; what is
+ * legal and what a drop does is decided by the callbacks (see playerUI.js).
+ */
+
+export const DROP_TARGETS = {
+  MELD: 'MELD',
+  NEW_MELD: 'NEW_MELD',
+  DISCARD: 'DISCARD'
+};
+
+// Pointer travel (px) before a press becomes a drag instead of a click
+const DRAG_THRESHOLD = 6;
+
+const OUR_MELD_SLOTS = '.meld-panel.team-our .meld-slot';
+
+/**
+ * Find the drop targets on the page
+ * Slots before `meldCount` hold the team's melds; the next one is where
+ * a new meld goes.
+ * @param {number} meldCount - Number of team melds
+ * @returns {Array} [{ element, target }]
+ */
+function findDropTargets(meldCount) {
+  const targets = [];
+  const slots = document.querySelectorAll(OUR_MELD_SLOTS);
+
+  slots.forEach((element, index) => {
+    if (index < meldCount) {
+      targets.push({ element, target: { type: DROP_TARGETS.MELD, meldIndex: index } });
+    } else if (index === meldCount) {
+      targets.push({ element, target: { type: DROP_TARGETS.NEW_MELD } });
+    }
+  });
+
+  const discard = document.querySelector('.discard');
+  if (discard) {
+    targets.push({ element: discard, target: { type: DROP_TARGETS.DISCARD } });
+  }
+  return targets;
+}
+
+/**
+ * Build the image that follows the pointer
+ * @param {Array<HTMLElement>} cardElements
+ * @returns {HTMLElement}
+ */
+function createGhost(cardElements) {
+  const ghost = document.createElement('div');
+  ghost.className = 'drag-ghost';
+  cardElements.forEach((cardElement) => {
+    const copy = cardElement.cloneNode(true);
+    copy.removeAttribute('style');
+    copy.classList.remove('card-selected');
+    ghost.appendChild(copy);
+  });
+  document.body.appendChild(ghost);
+  return ghost;
+}
+
+/**
+ * Find the hand card the dragged cards should be placed before
+ * @param {HTMLElement} container - Player hand container
+ * @param {number} x - Pointer x
+ * @param {number} y - Pointer y
+ * @param {Array<string>} draggedIds
+ * @returns {string|null} Card ID, or null for the end of the hand
+ */
+function findInsertBefore(container, x, y, draggedIds) {
+  const rows = [...container.querySelectorAll('.hand-row')];
+  const row = rows.find((rowElement) => {
+    const rect = rowElement.getBoundingClientRect();
+    return y >= rect.top && y <= rect.bottom;
+  }) || rows[rows.length - 1];
+  if (!row) return null;
+
+  const cards = [...row.querySelectorAll('.hand-card')]
+    .filter(cardElement => !draggedIds.includes(cardElement.dataset.cardId));
+  const before = cards.find((cardElement) => {
+    const rect = cardElement.getBoundingClientRect();
+    return x < rect.left + rect.width / 2;
+  });
+  if (before) return before.dataset.cardId;
+
+  // Past the last card of the first row: before the first card of the next row
+  const nextRow = rows[rows.indexOf(row) + 1];
+  const nextCard = nextRow && nextRow.querySelector('.hand-card');
+  return nextCard ? nextCard.dataset.cardId : null;
+}
+
+/**
+ * Enable dragging cards out of the hand
+ * @param {Object} options
+ * @param {HTMLElement} options.container - Player hand container
+ * @param {Function} options.getDragIds - (cardId) => IDs of the cards that move with it
+ * @param {Function} options.getMeldCount - Returns the number of team melds
+ * @param {Function} options.canDrop - (target, cardIds) => boolean
+ * @param {Function} options.onDrop - (target, cardIds) called on a legal drop
+ * @param {Function} options.onReorder - (cardIds, beforeId) called on a drop inside the hand
+ */
+export function initHandDrag({ container, getDragIds, getMeldCount, canDrop, onDrop, onReorder }) {
+  let drag = null;
+  let suppressClick = false;
+
+  const clearHighlights = () => {
+    document.querySelectorAll('.drop-legal, .drop-hover').forEach((element) => {
+      element.classList.remove('drop-legal', 'drop-hover');
+    });
+  };
+
+  const targetAt = (x, y) => {
+    const element = document.elementFromPoint(x, y);
+    if (!element) return null;
+    if (container.contains(element)) return { inHand: true };
+    return drag.targets.find(entry => entry.element.contains(element)) || null;
+  };
+
+  const startDrag = (event) => {
+    const cardIds = getDragIds(drag.cardId);
+    const cardElements = cardIds
+      .map(id => container.querySelector(`.hand-card[data-card-id="${id}"]`))
+      .filter(Boolean);
+
+    drag.started = true;
+    drag.cardIds = cardIds;
+    drag.ghost = createGhost(cardElements);
+    drag.targets = findDropTargets(getMeldCount()).filter(entry => canDrop(entry.target, cardIds));
+    drag.targets.forEach(entry => entry.element.classList.add('drop-legal'));
+    cardElements.forEach(cardElement => cardElement.classList.add('card-dragging'));
+    moveGhost(event);
+  };
+
+  const moveGhost = (event) => {
+    drag.ghost.style.left = `${event.clientX}px`;
+    drag.ghost.style.top = `${event.clientY}px`;
+
+    const hit = targetAt(event.clientX, event.clientY);
+    document.querySelectorAll('.drop-hover').forEach(element => element.classList.remove('drop-hover'));
+    if (hit && hit.element) hit.element.classList.add('drop-hover');
+  };
+
+  const endDrag = () => {
+    if (drag && drag.ghost) drag.ghost.remove();
+    container.querySelectorAll('.card-dragging').forEach(element => element.classList.remove('card-dragging'));
+    clearHighlights();
+    drag = null;
+  };
+
+  container.addEventListener('pointerdown', (event) => {
+    const cardElement = event.target.closest('.hand-card[data-card-id]');
+    if (!cardElement || event.button > 0) return;
+
+    drag = { cardId: cardElement.dataset.cardId, x: event.clientX, y: event.clientY, started: false };
+    cardElement.setPointerCapture(event.pointerId);
+  });
+
+  container.addEventListener('pointermove', (event) => {
+    if (!drag) return;
+    if (!drag.started) {
+      const distance = Math.hypot(event.clientX - drag.x, event.clientY - drag.y);
+      if (distance < DRAG_THRESHOLD) return;
+      startDrag(event);
+      return;
+    }
+    moveGhost(event);
+  });
+
+  container.addEventListener('pointerup', (event) => {
+    if (!drag || !drag.started) {
+      drag = null;
+      return;
+    }
+
+    const { cardIds } = drag;
+    const hit = targetAt(event.clientX, event.clientY);
+    const beforeId = hit && hit.inHand ? findInsertBefore(container, event.clientX, event.clientY, cardIds) : null;
+    endDrag();
+
+    // The click that follows a drag must not toggle the selection
+    suppressClick = true;
+    setTimeout(() => { suppressClick = false; });
+
+    if (hit && hit.inHand) {
+      onReorder(cardIds, beforeId);
+    } else if (hit) {
+      onDrop(hit.target, cardIds);
+    }
+  });
+
+  container.addEventListener('pointercancel', endDrag);
+
+  // Card images would otherwise start the browser's own image drag
+  container.addEventListener('dragstart', event => event.preventDefault());
+
+  container.addEventListener('click', (event) => {
+    if (suppressClick) event.stopImmediatePropagation();
+  }, { capture: true });
+}
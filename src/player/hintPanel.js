@@ -0,0 +1,125 @@
+/**
+ * Hint Panel
+ * Shows the local player's legal plays (see domain/hints.js) next to the
+ * table. Clicking a hint selects its cards in the hand, ready for the
+ * Meld or Take discard pile button.
+ */
+
+import { getHints } from '../domain/hints.js';
+import { createSeatView } from '../domain/seatView.js';
+import { getGameState, getLocalSeat } from './gameSession.js';
+import { setSelection } from './playerHand.js';
+import { TURN_PHASES } from './playerTurn.js';
+
+// Phases before play starts, when there is nothing to hint
+const SETUP_PHASES = [TURN_PHASES.PRE_DEAL, TURN_PHASES.RED_THREES, TURN_PHASES.FIRST_DISCARD];
+
+// Hints currently listed, by their index in the list
+let listedHints = [];
+
+// Called after a hint changed the selection
+let onSelect = () => {};
+
+/**
+ * Create a list item
+ * @param {string} text
+ * @param {string} className
+ * @returns {HTMLElement}
+ */
+function createItem(text, className) {
+  const item = document.createElement('li');
+  item.className = className;
+  item.textContent = text;
+  return item;
+}
+
+/**
+ * Append a titled group of clickable hints to the list
+ * @param {HTMLElement} list
+ * @param {string} title
+ * @param {Array} hints
+ * @param {Function} describe - Returns the text for a hint
+ */
+function appendGroup(list, title, hints, describe) {
+  if (hints.length === 0) return;
+
+  list.appendChild(createItem(title, 'hint-group'));
+  hints.forEach((hint) => {
+    const item = createItem(describe(hint), 'hint-item');
+    item.dataset.hintIndex = listedHints.length;
+    listedHints.push(hint);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Describe the team's opening situation
+ * @param {Object} opening - Result of getOpeningHint
+ * @returns {string}
+ */
+function describeOpening(opening) {
+  if (opening.opened) return 'Your team has opened.';
+  const verdict = opening.meetsThreshold ? 'you can open' : 'not enough to open yet';
+  return `Opening needs ${opening.threshold} points: your melds reach ${opening.bestPoints}, ${verdict}.`;
+}
+
+/**
+ * Rebuild the panel from the current game state
+ */
+export function refreshHintPanel() {
+  const opening = document.getElementById('hint-opening');
+  const list = document.getElementById('hint-list');
+  if (!opening || !list) return;
+
+  listedHints = [];
+  list.innerHTML = '';
+
+  const state = getGameState();
+  if (!state || SETUP_PHASES.includes(state.turnPhase) || state.turnPhase === TURN_PHASES.DEAL_OVER) {
+    opening.textContent = 'Hints appear once play starts.';
+    return;
+  }
+
+  const hints = getHints(createSeatView(state, getLocalSeat()));
+  opening.textContent = describeOpening(hints.opening);
+
+  appendGroup(list, 'Take the discard pile', hints.pile.keys, hint => `Key ${hint.label} (${hint.keyType.toLowerCase()})`);
+  if (!hints.pile.canTake) {
+    list.appendChild(createItem(hints.pile.reason, 'hint-note'));
+  }
+  appendGroup(list, 'New melds', hints.melds, hint => `${hint.label} (${hint.points} pts)`);
+  appendGroup(list, 'Add to melds', hints.additions, hint => `${hint.label} to M${hint.meldIndex + 1}`);
+
+  if (listedHints.length === 0) {
+    list.appendChild(createItem('No legal melds right now.', 'hint-note'));
+  }
+}
+
+/**
+ * Initialize the hint panel
+ * @param {Object} options
+ * @param {Function} options.onSelect - Called after a hint selected its cards
+ */
+export function initHintPanel(options = {}) {
+  if (options.onSelect) {
+    onSelect = options.onSelect;
+  }
+
+  const list = document.getElementById('hint-list');
+  if (!list) {
+    console.warn('Missing hint panel');
+    return;
+  }
+
+  list.addEventListener('click', (event) => {
+    const item = event.target.closest('[data-hint-index]');
+    if (!item) return;
+
+    const hint = listedHints[Number(item.dataset.hintIndex)];
+    setSelection(hint.cardIds);
+    console.log('[hint]', hint.type, hint.label);
+    onSelect(hint);
+  });
+
+  refreshHintPanel();
+}
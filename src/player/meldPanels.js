@@ -0,0 +1,188 @@
+/**
+ * Meld Panels
+ * Renders the OUR TEAM MELDS and OPPONENT MELDS panels from the game
+ * state, one meld per slot in the order the team laid them down:
+ * - plain melds are fanned out to fill their slot
+ * - canastas collapse into a stack showing the top card, with a red
+ *   (clean) or black (dirty) marker, or a badge for wild canastas
+ * - every meld shows its points subtotal (cards + canasta bonus)
+ *
+ * There is always one empty slot after our melds (the drop target for a
+ * new meld, see handDrag.js); the grid grows by whole rows when the
+ * melds outnumber the slots.
+ */
+
+import { classifyMeld, MELD_KINDS } from '../domain/canasta.js';
+import { sumCardPoints } from '../domain/cardRules.js';
+import { getCanastaBonus } from '../domain/scoring.js';
+import { getTeamOf } from '../domain/gameState.js';
+import { formatHand } from '../domain/notation.js';
+import { createCardElement, getMeldKindClass } from '../shared/ui/cardDisplay.js';
+import { getGameState, getLocalSeat } from './gameSession.js';
+
+// Slots shown before any meld is laid (4 columns x 5 rows)
+const MIN_SLOTS = 20;
+const GRID_COLUMNS = 4;
+
+// Share of a fanned card left visible under the next one
+const FAN_VISIBLE = 0.3;
+const CARD_ASPECT_RATIO = 0.75;
+// Keeps the slot frame visible around the cards
+const SLOT_PADDING = 4;
+
+const CANASTA_MARKERS = {
+  [MELD_KINDS.CLEAN_CANASTA]: { className: 'marker-clean', title: 'Clean canasta' },
+  [MELD_KINDS.DIRTY_CANASTA]: { className: 'marker-dirty', title: 'Dirty canasta' }
+};
+
+const WILD_BADGES = {
+  [MELD_KINDS.SMALL_WILD_CANASTA]: 'WILD',
+  [MELD_KINDS.BIG_WILD_CANASTA]: 'BIG WILD'
+};
+
+/**
+ * Calculate the card size that fits `count` fanned cards into a slot
+ * @param {HTMLElement} slot
+ * @param {number} count
+ * @returns {Object} { width, height }
+ */
+function fitCards(slot, count) {
+  const availableWidth = slot.clientWidth - 2 * SLOT_PADDING;
+  const availableHeight = slot.clientHeight - 2 * SLOT_PADDING;
+  const width = availableWidth / (1 + (count - 1) * FAN_VISIBLE);
+  if (width / CARD_ASPECT_RATIO <= availableHeight) {
+    return { width, height: width / CARD_ASPECT_RATIO };
+  }
+  return { width: availableHeight * CARD_ASPECT_RATIO, height: availableHeight };
+}
+
+/**
+ * Size and place the cards of a slot for its current size
+ * @param {HTMLElement} slot
+ */
+function layoutSlot(slot) {
+  const images = [...slot.querySelectorAll('.meld-cards img')];
+  if (images.length === 0) return;
+
+  const { width, height } = fitCards(slot, images.length);
+  const fanWidth = width * (1 + (images.length - 1) * FAN_VISIBLE);
+  const start = (slot.clientWidth - fanWidth) / 2;
+  images.forEach((image, index) => {
+    image.style.width = `${width}px`;
+    image.style.height = `${height}px`;
+    image.style.left = `${start + index * width * FAN_VISIBLE}px`;
+    image.style.zIndex = index;
+  });
+}
+
+/**
+ * Create an empty slot
+ * @param {number} index
+ * @returns {HTMLElement}
+ */
+function createEmptySlot(index) {
+  const slot = document.createElement('div');
+  slot.className = 'meld-slot';
+  const label = document.createElement('span');
+  label.className = 'slot-label';
+  label.textContent = `M${index + 1}`;
+  slot.appendChild(label);
+  return slot;
+}
+
+/**
+ * Create the slot showing a meld
+ * @param {Object} meld
+ * @returns {HTMLElement}
+ */
+function createMeldSlot(meld) {
+  const { kind, isCanasta } = classifyMeld(meld);
+  const cardPoints = sumCardPoints(meld.cards);
+  const bonus = getCanastaBonus(meld);
+
+  const slot = document.createElement('div');
+  slot.className = `meld-slot has-tooltip ${getMeldKindClass(kind)}${isCanasta ? ' is-canasta' : ''}`;
+  slot.dataset.meldKind = kind;
+  slot.dataset.tooltip = bonus > 0
+    ? `${formatHand(meld.cards)} · ${cardPoints} + ${bonus} bonus`
+    : formatHand(meld.cards);
+
+  const cards = document.createElement('div');
+  cards.className = 'meld-cards';
+  // A canasta only shows its top card
+  const shown = isCanasta ? meld.cards.slice(-1) : meld.cards;
+  shown.forEach(card => cards.appendChild(createCardElement(card, { className: 'meld-slot-card' })));
+  slot.appendChild(cards);
+
+  if (isCanasta) {
+    const count = document.createElement('span');
+    count.className = 'meld-stack-count';
+    count.textContent = meld.cards.length;
+    slot.appendChild(count);
+  }
+
+  const marker = CANASTA_MARKERS[kind];
+  if (marker) {
+    const element = document.createElement('span');
+    element.className = `canasta-marker ${marker.className}`;
+    element.title = marker.title;
+    slot.appendChild(element);
+  }
+
+  if (WILD_BADGES[kind]) {
+    const badge = document.createElement('span');
+    badge.className = 'canasta-badge';
+    badge.textContent = WILD_BADGES[kind];
+    slot.appendChild(badge);
+  }
+
+  const points = document.createElement('span');
+  points.className = 'meld-points';
+  points.textContent = cardPoints + bonus;
+  slot.appendChild(points);
+
+  return slot;
+}
+
+/**
+ * Render a team's melds into a panel's grid
+ * @param {HTMLElement} grid - The panel's .meld-grid
+ * @param {Array} melds
+ */
+function renderGrid(grid, melds) {
+  // One free slot after the melds, rounded up to whole rows
+  const needed = Math.max(MIN_SLOTS, melds.length + 1);
+  const slotCount = Math.ceil(needed / GRID_COLUMNS) * GRID_COLUMNS;
+
+  grid.replaceChildren();
+  grid.style.setProperty('--meld-rows', slotCount / GRID_COLUMNS);
+  for (let index = 0; index < slotCount; index++) {
+    grid.appendChild(index < melds.length ? createMeldSlot(melds[index]) : createEmptySlot(index));
+  }
+  grid.querySelectorAll('.meld-slot').forEach(layoutSlot);
+
+  // Slots change size with the window; fanned cards follow
+  if (!grid._resizeObserver) {
+    grid._resizeObserver = new ResizeObserver(() => grid.querySelectorAll('.meld-slot').forEach(layoutSlot));
+    grid._resizeObserver.observe(grid);
+  }
+}
+
+/**
+ * Render both meld panels from the current game state
+ * Our team is the local player's team.
+ */
+export function renderMeldPanels() {
+  const state = getGameState();
+  const ourTeam = getTeamOf(getLocalSeat());
+  const panels = [
+    { selector: '.meld-panel.team-our .meld-grid', team: ourTeam },
+    { selector: '.meld-panel.team-opponent .meld-grid', team: 1 - ourTeam }
+  ];
+
+  panels.forEach(({ selector, team }) => {
+    const grid = document.querySelector(selector);
+    if (!grid) return;
+    renderGrid(grid, state ? state.teams[team].melds : []);
+  });
+}
@@ -0,0 +1,122 @@
+/**
+ * Pile Widgets
+ * Renders the stock and the discard pile in the center column from the
+ * game state:
+ * - stock: a card back and the number of cards left to draw
+ * - discard pile: the top card, the pile size and, while a red or black
+ *   3 blocks the pile, a lock overlay with the reason
+ *
+ * Clicking the discard pile opens a viewer of all its cards.
+ */
+
+import { getTopCard, getPileSize, getPileBlock, BLOCK_REASONS } from '../domain/discardPile.js';
+import { createCardElement } from '../shared/ui/cardDisplay.js';
+import { showPileViewer } from '../shared/ui/pileViewer.js';
+import { getGameState } from './gameSession.js';
+
+const BLOCK_LABELS = {
+  [BLOCK_REASONS.RED_THREE]: 'Red 3',
+  [BLOCK_REASONS.BLACK_THREE]: 'Black 3'
+};
+
+/**
+ * Describe a block on the pile
+ * @param {Object} block - Result of getPileBlock
+ * @returns {string} e.g. "Blocked by a red 3 for 2 more turns"
+ */
+function describeBlock(block) {
+  const turns = block.remainingTurns === 1 ? '1 more turn' : `${block.remainingTurns} more turns`;
+  return `Blocked by a ${BLOCK_LABELS[block.reason].toLowerCase()} for ${turns}`;
+}
+
+/**
+ * Create the lock overlay for a blocked pile
+ * @param {Object} block
+ * @returns {HTMLElement}
+ */
+function createLockOverlay(block) {
+  const overlay = document.createElement('div');
+  overlay.className = 'pile-lock';
+  overlay.title = describeBlock(block);
+
+  const icon = document.createElement('span');
+  icon.className = 'pile-lock-icon';
+  icon.textContent = '🔒';
+
+  const reason = document.createElement('span');
+  reason.className = 'pile-lock-reason';
+  reason.textContent = BLOCK_LABELS[block.reason];
+
+  const turns = document.createElement('span');
+  turns.className = 'pile-lock-turns';
+  turns.textContent = block.remainingTurns === 1 ? '1 turn' : `${block.remainingTurns} turns`;
+
+  overlay.append(icon, reason, turns);
+  return overlay;
+}
+
+/**
+ * Render the stock widget
+ * The card back element is kept, so the recycle animation can run on it.
+ * @param {Object|null} state
+ */
+function renderStock(state) {
+  const count = state ? state.stock.cards.length : 0;
+  const deckCard = document.querySelector('.deck-card');
+  const badge = document.querySelector('.deck-badge');
+
+  if (deckCard) deckCard.classList.toggle('is-empty', count === 0);
+  if (badge) badge.textContent = count;
+}
+
+/**
+ * Render the discard pile widget
+ * @param {Object|null} state
+ */
+function renderDiscard(state) {
+  const pile = state ? state.discardPile : null;
+  const topCard = pile ? getTopCard(pile) : null;
+  const block = pile ? getPileBlock(pile) : null;
+  const discardCard = document.querySelector('.discard-card');
+  const badge = document.querySelector('.discard-badge');
+
+  if (discardCard) {
+    discardCard.replaceChildren();
+    discardCard.classList.toggle('is-empty', !topCard);
+    if (topCard) discardCard.appendChild(createCardElement(topCard, { className: 'card-svg' }));
+    if (block) discardCard.appendChild(createLockOverlay(block));
+  }
+  if (badge) badge.textContent = pile ? getPileSize(pile) : 0;
+}
+
+/**
+ * Render both pile widgets from the current game state
+ */
+export function renderPiles() {
+  const state = getGameState();
+  renderStock(state);
+  renderDiscard(state);
+}
+
+/**
+ * Open the pile viewer when the discard pile is clicked
+ */
+export function initPileWidgets() {
+  const discard = document.querySelector('.discard');
+  if (!discard) {
+    console.warn('Discard pile (.discard) not found');
+    return;
+  }
+
+  discard.title = 'Show the whole pile';
+  discard.addEventListener('click', () => {
+    const state = getGameState();
+    if (!state) return;
+
+    const block = getPileBlock(state.discardPile);
+    showPileViewer({
+      cards: state.discardPile.cards,
+      note: block ? `${describeBlock(block)}. Top card first.` : ''
+    });
+  });
+}
@@ -1,75 +1,489 @@
 /**
  * Player Actions
- * Functions that perform player actions with validation
+ * Functions that perform player actions on the game state with validation.
+ * Every action takes the game state and the acting seat, so the same
+ * functions serve the local player, other seats and bots.
+ * Actions out of turn or phase are rejected with a code from TURN_ERRORS.
+ * Successful actions return the record that replays them (see actionLog.js).
  */
 
 import {
-  canDrawFromDeck,
-  canTakeDiscardPile,
-  canMeld,
-  canDiscard,
+  checkTurnAction,
   setPhase,
-  TURN_PHASES
+  endTurn,
+  endDealTurn,
+  TURN_PHASES,
+  TURN_ERRORS,
+  TURN_ACTIONS
 } from './playerTurn.js';
+import { turnError } from '../domain/turnPhases.js';
 
-import { getSelectedIds, clearSelection } from './playerHand.js';
+import {
+  getHand,
+  findCardsInHand,
+  addCardsToHand,
+  removeCardsFromHand,
+  getTeamOf,
+  getTeamMelds,
+  addTeamMeld,
+  hasTeamOpened
+} from '../domain/gameState.js';
+import { validateNewMeld, MELD_TYPES } from '../domain/melds.js';
+import { canAddToMeld } from '../domain/canasta.js';
+import { checkOpening } from '../domain/opening.js';
+import {
+  getTopCard,
+  getPileBlock,
+  isPileBlockedFor,
+  addToDiscardPile,
+  takeDiscardPile,
+  BLOCK_REASONS
+} from '../domain/discardPile.js';
+import { validatePickupKey } from '../domain/pickupRules.js';
+import { drawFromStock } from '../domain/stock.js';
+import {
+  isClosingDiscard,
+  findBlackThreesToLay,
+  checkClosing,
+  checkClosingAfter,
+  scoreClosedDeal,
+  CLOSING_ERRORS
+} from '../domain/closing.js';
+import { CLOSING_TYPES } from '../domain/scoring.js';
+import { ACTION_TYPES, createActionRecord } from '../domain/actionRecords.js';
 
 /**
- * Action: Draw from deck
- * @returns {Object} { ok: boolean, message?: string }
+ * Find where a new meld goes among the team's melds
+ * A set of a rank the team already has is merged into that set (9.1),
+ * within the limits of canAddToMeld.
+ * @param {Object} state - Game state
+ * @param {number} team
+ * @param {Object} meld - Validated new meld
+ * @returns {Object} { ok: boolean, message?: string, reasons?: Array, target?: Object|null, cards?: Array }
+ */
+function placeTeamMeld(state, team, meld) {
+  const sameRankSet = meld.type === MELD_TYPES.SET &&
+    getTeamMelds(state, team).find(teamMeld => teamMeld.type === MELD_TYPES.SET && teamMeld.rank === meld.rank);
+  if (!sameRankSet) {
+    return { ok: true, target: null };
+  }
+
+  const merge = canAddToMeld(sameRankSet, meld.cards);
+  if (!merge.ok) {
+    return { ok: false, message: merge.reasons[0].message, reasons: merge.reasons };
+  }
+  return { ok: true, target: sameRankSet, cards: merge.meld.cards };
+}
+
+/**
+ * Get a new meld as it will lie on the table
+ * @param {Object} meld - Validated new meld
+ * @param {Object} placement - Result of placeTeamMeld
+ * @returns {Object} The meld, or the same-rank set it is merged into
+ */
+function placedMeld(meld, placement) {
+  return placement.target ? { ...placement.target, cards: placement.cards } : meld;
+}
+
+/**
+ * Check the cards a move leaves in the seat's hand
+ * One card must stay for the discard. When only that card stays, the
+ * discard closes the deal, so the move must leave a legal close.
+ * @param {Object} state - Game state
+ * @param {number} seat - Acting seat
+ * @param {number} cardsLeft - Cards in hand after the move
+ * @param {Array} laidMelds - Melds the move lays down or grows, as they would be
+ * @returns {Object} { ok: boolean, code?: string, message?: string, reasons?: Array }
  */
-export function actionDrawFromDeck() {
-  if (!canDrawFromDeck()) {
-    return { ok: false, message: 'Cannot draw from deck.' };
+function checkCardsLeft(state, seat, cardsLeft, laidMelds) {
+  if (cardsLeft === 0) {
+    return {
+      ok: false,
+      code: CLOSING_ERRORS.NO_CARD_TO_DISCARD,
+      message: 'Keep one card to discard: there is no closing without a discard'
+    };
   }
-  setPhase(TURN_PHASES.AFTER_DRAW);
+
+  if (cardsLeft === 1) {
+    const closing = checkClosingAfter(state, seat, laidMelds);
+    if (!closing.ok) {
+      return {
+        ok: false,
+        code: closing.reasons[0].code,
+        message: `Your last card could not be discarded: ${closing.reasons[0].message}`,
+        reasons: closing.reasons
+      };
+    }
+  }
+
   return { ok: true };
 }
 
+/**
+ * Lay a new meld where placeTeamMeld put it
+ * @param {Object} state - Game state
+ * @param {number} team
+ * @param {Object} meld - Validated new meld
+ * @param {Object} placement - Result of placeTeamMeld
+ */
+function layTeamMeld(state, team, meld, placement) {
+  if (placement.target) {
+    placement.target.cards = placement.cards;
+  } else {
+    addTeamMeld(state, team, meld);
+  }
+}
+
+/**
+ * Action: Draw from deck
+ * An empty stock is refilled from the discard pile before the draw;
+ * the returned events tell the UI when that happened. When not even the
+ * pile can refill it, the deal ends without a closer.
+ * @param {Object} state - Game state
+ * @param {number} seat - Acting seat
+ * @returns {Object} { ok: boolean, code?: string, message?: string, card?: Object, events?: Array, record?: Object,
+ *   dealOver?: boolean, score?: Object }
+ */
+export function actionDrawFromDeck(state, seat) {
+  const turn = checkTurnAction(state, seat, TURN_ACTIONS.DRAW);
+  if (!turn.ok) return turn;
+
+  const { cards, events } = drawFromStock(state.stock, state.discardPile);
+  state.events.push(...events);
+  if (cards.length === 0) {
+    return endExhaustedDeal(state, seat, events);
+  }
+
+  addCardsToHand(state, seat, cards);
+  setPhase(state, TURN_PHASES.AFTER_DRAW);
+  return { ok: true, card: cards[0], events, record: createActionRecord(ACTION_TYPES.DRAW, seat) };
+}
+
+/**
+ * End the deal because no card can be drawn any more
+ * @param {Object} state - Game state
+ * @param {number} seat - Seat that tried to draw
+ * @param {Array} events - Stock events of the failed draw
+ * @returns {Object} Result for actionDrawFromDeck
+ */
+function endExhaustedDeal(state, seat, events) {
+  endDealTurn(state);
+  const score = scoreClosedDeal(state, null);
+  state.result = { closingSeat: null, closingType: null, score };
+
+  return {
+    ok: true,
+    message: 'No cards left to draw: the deal is over.',
+    events,
+    dealOver: true,
+    score,
+    record: createActionRecord(ACTION_TYPES.DRAW, seat)
+  };
+}
+
 /**
  * Action: Take from discard pile
- * @returns {Object} { ok: boolean, message?: string }
+ * The given cards are offered as the key. The key and the top card are
+ * laid down as a team meld (merged into a set of the same rank when the
+ * team has one), the rest of the pile goes to the hand. A team that has
+ * not opened yet must reach the opening threshold with the key meld. A
+ * take that leaves a single card must leave a legal close.
+ * @param {Object} state - Game state
+ * @param {number} seat - Acting seat
+ * @param {Array} keyCardIds - IDs of the key cards
+ * @returns {Object} { ok: boolean, code?: string, message?: string, reasons?: Array, block?: Object, keyType?: string,
+ *   missing?: number, record?: Object }
  */
-export function actionTakeDiscardPile() {
-  if (!canTakeDiscardPile()) {
-    return { ok: false, message: 'Cannot take from discard pile.' };
+export function actionTakeDiscardPile(state, seat, keyCardIds = []) {
+  const turn = checkTurnAction(state, seat, TURN_ACTIONS.TAKE_DISCARD);
+  if (!turn.ok) return turn;
+
+  if (isPileBlockedFor(state.discardPile, seat)) {
+    const block = getPileBlock(state.discardPile);
+    const three = block.reason === BLOCK_REASONS.RED_THREE ? 'a red 3' : 'a black 3';
+    return { ...turnError(TURN_ERRORS.PILE_BLOCKED, `Discard pile is blocked by ${three}.`), block };
   }
-  setPhase(TURN_PHASES.AFTER_TAKE_DISCARD);
-  return { ok: true };
+
+  const keyCards = findCardsInHand(state, seat, keyCardIds);
+  if (keyCards.length !== keyCardIds.length) {
+    return turnError(TURN_ERRORS.CARDS_NOT_IN_HAND, 'Some key cards are not in hand');
+  }
+
+  const validation = validatePickupKey(getTopCard(state.discardPile), keyCards);
+  if (!validation.ok) {
+    return { ok: false, message: validation.reasons[0].message, reasons: validation.reasons };
+  }
+
+  const team = getTeamOf(seat);
+  const placement = placeTeamMeld(state, team, validation.meld);
+  if (!placement.ok) return placement;
+
+  const topInMeld = validation.meld.cards.some(card => card.id === getTopCard(state.discardPile).id);
+  const cardsAfterTake = getHand(state, seat).length - keyCards.length +
+    state.discardPile.cards.length - (topInMeld ? 1 : 0);
+  const left = checkCardsLeft(state, seat, cardsAfterTake, [placedMeld(validation.meld, placement)]);
+  if (!left.ok) return left;
+
+  // The key meld opens the team, so it must reach the threshold on its own
+  if (!hasTeamOpened(state, team)) {
+    const opening = checkOpening([validation.meld], state.teams[team].score, { cardsLeftInHand: cardsAfterTake });
+    if (!opening.ok) {
+      return {
+        ok: false,
+        message: opening.reasons[0].message,
+        reasons: opening.reasons,
+        missing: opening.missing
+      };
+    }
+  }
+
+  const { topCard, rest } = takeDiscardPile(state.discardPile);
+  removeCardsFromHand(state, seat, keyCards.map(card => card.id));
+  layTeamMeld(state, team, validation.meld, placement);
+  addCardsToHand(state, seat, validation.meld.cards.includes(topCard) ? rest : [...rest, topCard]);
+
+  setPhase(state, TURN_PHASES.AFTER_TAKE_DISCARD);
+  return {
+    ok: true,
+    keyType: validation.keyType,
+    record: createActionRecord(ACTION_TYPES.TAKE_DISCARD, seat, { cardIds: [...keyCardIds] })
+  };
 }
 
 /**
  * Action: Meld selected cards
- * @returns {Object} { ok: boolean, message?: string }
+ * Cards are validated in the order given (the order they are laid down).
+ * Several melds can be laid at once by passing one list of IDs per meld;
+ * the team's first melds must reach the opening threshold together. A
+ * set of a rank the team already has is merged into that set. A meld
+ * that leaves a single card must leave a legal close.
+ * @param {Object} state - Game state
+ * @param {number} seat - Acting seat
+ * @param {Array} cardIds - IDs of the cards to meld, or one list of IDs per meld
+ * @returns {Object} { ok: boolean, code?: string, message?: string, reasons?: Array, missing?: number, record?: Object }
  */
-export function actionMeldSelected() {
-  if (!canMeld()) {
-    return { ok: false, message: 'Cannot meld in current phase' };
-  }
+export function actionMeldSelected(state, seat, cardIds = []) {
+  const turn = checkTurnAction(state, seat, TURN_ACTIONS.MELD);
+  if (!turn.ok) return turn;
 
-  const selectedIds = getSelectedIds();
-  if (selectedIds.length === 0) {
+  const groups = Array.isArray(cardIds[0]) ? cardIds : [cardIds];
+  if (groups.some(ids => ids.length === 0)) {
     return { ok: false, message: 'No cards selected to meld' };
   }
 
-  // TODO: Meld validation and logic
-  
-  return { ok: true };
+  const allIds = groups.flat();
+  if (new Set(allIds).size !== allIds.length) {
+    return { ok: false, message: 'A card can only be laid in one meld' };
+  }
+
+  const team = getTeamOf(seat);
+  const melds = [];
+  for (const ids of groups) {
+    const cards = findCardsInHand(state, seat, ids);
+    if (cards.length !== ids.length) {
+      return turnError(TURN_ERRORS.CARDS_NOT_IN_HAND, 'Some selected cards are not in hand');
+    }
+
+    const validation = validateNewMeld(cards);
+    if (!validation.ok) {
+      return { ok: false, message: validation.reasons[0].message, reasons: validation.reasons };
+    }
+    melds.push(validation.meld);
+  }
+
+  const setRanks = melds.filter(meld => meld.type === MELD_TYPES.SET).map(meld => meld.rank);
+  if (new Set(setRanks).size !== setRanks.length) {
+    return { ok: false, message: 'Cards of the same rank are laid as one set' };
+  }
+
+  const placements = [];
+  for (const meld of melds) {
+    const placement = placeTeamMeld(state, team, meld);
+    if (!placement.ok) return placement;
+    placements.push(placement);
+  }
+
+  const cardsLeft = getHand(state, seat).length - allIds.length;
+  const laidMelds = melds.map((meld, index) => placedMeld(meld, placements[index]));
+  const left = checkCardsLeft(state, seat, cardsLeft, laidMelds);
+  if (!left.ok) return left;
+
+  if (!hasTeamOpened(state, team)) {
+    const opening = checkOpening(melds, state.teams[team].score, { cardsLeftInHand: cardsLeft });
+    if (!opening.ok) {
+      return {
+        ok: false,
+        message: opening.reasons[0].message,
+        reasons: opening.reasons,
+        missing: opening.missing
+      };
+    }
+  }
+
+  melds.forEach((meld, index) => layTeamMeld(state, team, meld, placements[index]));
+  removeCardsFromHand(state, seat, allIds);
+  setPhase(state, TURN_PHASES.MELDING);
+
+  const recordIds = groups === cardIds ? groups.map(ids => [...ids]) : [...cardIds];
+  return { ok: true, record: createActionRecord(ACTION_TYPES.MELD, seat, { cardIds: recordIds }) };
+}
+
+/**
+ * Action: Add cards to an existing team meld
+ * Runs only grow at their end; canastas take no more wilds and wild
+ * canastas take nothing (see canAddToMeld). An addition that leaves a
+ * single card must leave a legal close.
+ * @param {Object} state - Game state
+ * @param {number} seat - Acting seat
+ * @param {number} meldIndex - Index of the meld in the team's melds
+ * @param {Array} cardIds - IDs of the cards to add, in laying order
+ * @returns {Object} { ok: boolean, code?: string, message?: string, reasons?: Array, record?: Object }
+ */
+export function actionAddToMeld(state, seat, meldIndex, cardIds = []) {
+  const turn = checkTurnAction(state, seat, TURN_ACTIONS.MELD);
+  if (!turn.ok) return turn;
+
+  const melds = getTeamMelds(state, getTeamOf(seat));
+  const meld = melds[meldIndex];
+  if (!meld) {
+    return { ok: false, message: 'Your team has no such meld' };
+  }
+
+  if (cardIds.length === 0) {
+    return { ok: false, message: 'No cards selected to add' };
+  }
+
+  const cards = findCardsInHand(state, seat, cardIds);
+  if (cards.length !== cardIds.length) {
+    return turnError(TURN_ERRORS.CARDS_NOT_IN_HAND, 'Some selected cards are not in hand');
+  }
+
+  const addition = canAddToMeld(meld, cards);
+  if (!addition.ok) {
+    return { ok: false, message: addition.reasons[0].message, reasons: addition.reasons };
+  }
+
+  const left = checkCardsLeft(state, seat, getHand(state, seat).length - cards.length, [addition.meld]);
+  if (!left.ok) return left;
+
+  melds[meldIndex] = addition.meld;
+  removeCardsFromHand(state, seat, cards.map(card => card.id));
+  setPhase(state, TURN_PHASES.MELDING);
+
+  return {
+    ok: true,
+    record: createActionRecord(ACTION_TYPES.ADD_TO_MELD, seat, { meldIndex, cardIds: [...cardIds] })
+  };
 }
 
 /**
  * Action: Discard selected card
- * @returns {Object} { ok: boolean, message?: string }
+ * Puts the card on the discard pile (which may block it), ends the turn
+ * and hands BEFORE_DRAW to the next seat.
+ *
+ * Discarding the last card closes the deal: the close is validated and
+ * classified, the deal ends and is scored. Closing on minus is only done
+ * when the caller passes confirmMinus; otherwise the action is rejected
+ * with needsConfirmation so the player can be asked first.
+ *
+ * With layBlackThrees the seat goes out by laying down the four black
+ * threes it holds besides the discarded card.
+ * @param {Object} state - Game state
+ * @param {number} seat - Acting seat
+ * @param {Array} cardIds - IDs of the selected cards (exactly one)
+ * @param {Object} options
+ * @param {boolean} options.confirmMinus - The player agreed to close on minus
+ * @param {boolean} options.layBlackThrees - Lay down four black threes when going out
+ * @returns {Object} { ok: boolean, code?: string, message?: string, nextSeat?: number, record?: Object,
+ *   closed?: boolean, dealOver?: boolean, closingType?: string, score?: Object, needsConfirmation?: boolean }
  */
-export function actionDiscardSelected() {
-  const selectedIds = getSelectedIds();
+export function actionDiscardSelected(state, seat, cardIds = [], { confirmMinus = false, layBlackThrees = false } = {}) {
+  const turn = checkTurnAction(state, seat, TURN_ACTIONS.DISCARD);
+  if (!turn.ok) return turn;
 
-  if (!canDiscard(selectedIds.length)) {
+  if (cardIds.length !== 1) {
     return { ok: false, message: 'Cannot discard: must select exactly 1 card' };
   }
 
-  // TODO: Discard logic
-  clearSelection();
+  const [card] = findCardsInHand(state, seat, cardIds);
+  if (!card) {
+    return turnError(TURN_ERRORS.CARDS_NOT_IN_HAND, 'Card is not in hand');
+  }
+
+  if (layBlackThrees) {
+    const blackThrees = findBlackThreesToLay(state, seat, card.id);
+    if (!blackThrees) {
+      return {
+        ok: false,
+        code: CLOSING_ERRORS.NOT_FOUR_BLACK_THREES,
+        message: 'Only four black threes besides the discard can be laid down when going out'
+      };
+    }
+    return closeDeal(state, seat, card, confirmMinus, blackThrees);
+  }
+
+  if (isClosingDiscard(state, seat)) {
+    return closeDeal(state, seat, card, confirmMinus);
+  }
+
+  removeCardsFromHand(state, seat, [card.id]);
+  addToDiscardPile(state.discardPile, card, seat);
+  const next = endTurn(state);
   
-  return { ok: true };
+  return {
+    ok: true,
+    nextSeat: next.seat,
+    record: createActionRecord(ACTION_TYPES.DISCARD, seat, { cardIds: [card.id] })
+  };
+}
+
+/**
+ * Close the deal with the seat's last card
+ * @param {Object} state - Game state
+ * @param {number} seat - Closing seat
+ * @param {Object} card - The last card
+ * @param {boolean} confirmMinus - The player agreed to close on minus
+ * @param {Array} blackThrees - Black threes laid down when going out
+ * @returns {Object} Result for actionDiscardSelected
+ */
+function closeDeal(state, seat, card, confirmMinus, blackThrees = []) {
+  const closing = checkClosing(state, seat);
+  if (!closing.ok) {
+    return {
+      ok: false,
+      code: closing.reasons[0].code,
+      message: closing.reasons[0].message,
+      reasons: closing.reasons
+    };
+  }
+
+  if (closing.closingType === CLOSING_TYPES.MINUS && !confirmMinus) {
+    return {
+      ok: false,
+      code: CLOSING_ERRORS.MINUS_NOT_CONFIRMED,
+      message: 'Your team has no canasta: this closes the deal on minus',
+      closingType: closing.closingType,
+      needsConfirmation: true
+    };
+  }
+
+  removeCardsFromHand(state, seat, [card.id, ...blackThrees.map(three => three.id)]);
+  addToDiscardPile(state.discardPile, card, seat);
+  endDealTurn(state);
+
+  const score = scoreClosedDeal(state, seat, blackThrees);
+  state.result = { closingSeat: seat, closingType: closing.closingType, score, blackThreesLaid: blackThrees };
+
+  return {
+    ok: true,
+    closed: true,
+    dealOver: true,
+    closingType: closing.closingType,
+    score,
+    record: createActionRecord(ACTION_TYPES.DISCARD, seat, {
+      cardIds: [card.id],
+      confirmMinus,
+      layBlackThrees: blackThrees.length > 0
+    })
+  };
 }
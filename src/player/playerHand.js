@@ -1,20 +1,28 @@
 /**
- * Player Hand State and Management
- * Manages the cards in the player's hand and selection state
+ * Player Hand Selection
+ * Manages which cards of the local player's hand are selected and the
+ * order they are shown in. The cards themselves live in the game state
+ * (state.hands[seat]); the sort mode (or the player's own arrangement)
+ * only affects the display and stays in effect as cards come and go.
  */
 
-export const playerHandState = {
-  cards: [],
-  selectedIds: new Set()
+import { SORT_MODES, sortHand } from '../domain/handSort.js';
+
+// Order the Sort button steps through
+const SORT_CYCLE = [SORT_MODES.RANK, SORT_MODES.SUIT, SORT_MODES.MELD];
+
+export const SORT_LABELS = {
+  [SORT_MODES.RANK]: 'Rank',
+  [SORT_MODES.SUIT]: 'Suit',
+  [SORT_MODES.MELD]: 'Melds'
 };
 
-/**
- * Set the player's hand cards
- * @param {Array} cardsArray - Array of card objects
- */
-export function setHandCards(cardsArray) {
-  playerHandState.cards = cardsArray || [];
-}
+export const playerHandState = {
+  selectedIds: new Set(),
+  sortMode: null,
+  // Card IDs in the order the player arranged them by hand (used without a sort mode)
+  customOrder: []
+};
 
 /**
  * Toggle selection status of a card
@@ -35,8 +43,18 @@ export function clearSelection() {
   playerHandState.selectedIds.clear();
 }
 
+/**
+ * Replace the selection with the given cards
+ * @param {Array} cardIds - IDs to select, in laying-down order
+ */
+export function setSelection(cardIds) {
+  playerHandState.selectedIds.clear();
+  cardIds.forEach(id => playerHandState.selectedIds.add(id));
+}
+
 /**
  * Get array of selected card IDs
+ * IDs come back in the order the cards were selected.
  * @returns {Array} Array of selected card IDs
  */
 export function getSelectedIds() {
@@ -50,3 +68,58 @@ export function getSelectedIds() {
 export function getSelectedCount() {
   return playerHandState.selectedIds.size;
 }
+
+/**
+ * Drop selected IDs that are no longer in the hand
+ * @param {Array} hand - Current hand cards
+ */
+export function pruneSelection(hand) {
+  const handIds = new Set(hand.map(card => card.id));
+  getSelectedIds().forEach((id) => {
+    if (!handIds.has(id)) playerHandState.selectedIds.delete(id);
+  });
+}
+
+/**
+ * Switch to the next sort mode
+ * @returns {string} The new mode (one of SORT_MODES)
+ */
+export function cycleSortMode() {
+  const next = (SORT_CYCLE.indexOf(playerHandState.sortMode) + 1) % SORT_CYCLE.length;
+  playerHandState.sortMode = SORT_CYCLE[next];
+  return playerHandState.sortMode;
+}
+
+/**
+ * Get the hand in display order
+ * Without a sort mode the player's own arrangement is used; cards that
+ * arrived since then go to the end.
+ * @param {Array} hand - Hand cards as held in the game state
+ * @returns {Array}
+ */
+export function getDisplayedHand(hand) {
+  if (playerHandState.sortMode) {
+    return sortHand(hand, playerHandState.sortMode);
+  }
+
+  const position = new Map(playerHandState.customOrder.map((id, index) => [id, index]));
+  const placed = hand.filter(card => position.has(card.id))
+    .sort((a, b) => position.get(a.id) - position.get(b.id));
+  return [...placed, ...hand.filter(card => !position.has(card.id))];
+}
+
+/**
+ * Move cards to another place in the displayed hand
+ * The arrangement replaces the sort mode until the Sort button is used again.
+ * @param {Array} hand - Hand cards as held in the game state
+ * @param {Array<string>} cardIds - Cards to move, in their new order
+ * @param {string|null} beforeId - Card to place them before (null for the end)
+ */
+export function moveCardsInHand(hand, cardIds, beforeId) {
+  const rest = getDisplayedHand(hand).map(card => card.id).filter(id => !cardIds.includes(id));
+  const index = rest.indexOf(beforeId);
+  rest.splice(index === -1 ? rest.length : index, 0, ...cardIds);
+
+  playerHandState.customOrder = rest;
+  playerHandState.sortMode = null;
+}
@@ -1,80 +1,166 @@
 /**
- * Player Turn State and Phase Management
- * Manages turn phases and validates allowed actions
+ * Player Turn Phase Management
+ * Moves the game state through the turn phases and checks which
+ * actions a seat may take. Rejected checks carry a code from TURN_ERRORS.
  */
 
-export const TURN_PHASES = {
-  START: 'START',
-  BEFORE_DRAW: 'BEFORE_DRAW',
-  AFTER_DRAW: 'AFTER_DRAW',
-  AFTER_TAKE_DISCARD: 'AFTER_TAKE_DISCARD'
+import { isPileBlockedFor, getPileSize } from '../domain/discardPile.js';
+import { getNextSeat } from '../domain/gameState.js';
+import {
+  TURN_PHASES,
+  TURN_ERRORS,
+  transitionTurn,
+  turnError
+} from '../domain/turnPhases.js';
+
+export { TURN_PHASES, TURN_ERRORS };
+
+export const TURN_ACTIONS = {
+  DRAW: 'DRAW',
+  TAKE_DISCARD: 'TAKE_DISCARD',
+  MELD: 'MELD',
+  DISCARD: 'DISCARD'
+};
+
+// Phases in which each action is allowed
+const ACTION_PHASES = {
+  [TURN_ACTIONS.DRAW]: [TURN_PHASES.BEFORE_DRAW],
+  [TURN_ACTIONS.TAKE_DISCARD]: [TURN_PHASES.BEFORE_DRAW],
+  [TURN_ACTIONS.MELD]: [TURN_PHASES.AFTER_DRAW, TURN_PHASES.AFTER_TAKE_DISCARD, TURN_PHASES.MELDING],
+  [TURN_ACTIONS.DISCARD]: [TURN_PHASES.AFTER_DRAW, TURN_PHASES.AFTER_TAKE_DISCARD, TURN_PHASES.MELDING]
 };
 
-export const playerTurnState = {
-  isMyTurn: false,
-  phase: TURN_PHASES.START
+const ACTION_LABELS = {
+  [TURN_ACTIONS.DRAW]: 'draw from deck',
+  [TURN_ACTIONS.TAKE_DISCARD]: 'take the discard pile',
+  [TURN_ACTIONS.MELD]: 'meld',
+  [TURN_ACTIONS.DISCARD]: 'discard'
 };
 
 /**
- * Start the player's turn
+ * Start a seat's turn
+ * @param {Object} state - Game state
+ * @param {number} seat
+ * @returns {Object} { ok: boolean, code?: string, message?: string }
  */
-export function startMyTurn() {
-  playerTurnState.isMyTurn = true;
-  playerTurnState.phase = TURN_PHASES.BEFORE_DRAW;
+export function startTurn(state, seat) {
+  const result = transitionTurn(state, TURN_PHASES.BEFORE_DRAW);
+  if (!result.ok) return result;
+
+  state.currentSeat = seat;
+  state.turnNumber += 1;
+  return { ok: true };
 }
 
 /**
- * End the player's turn
+ * End the current turn and hand it to the next seat
+ * @param {Object} state - Game state
+ * @returns {Object} { ok: boolean, code?: string, message?: string, seat?: number }
  */
-export function endMyTurn() {
-  playerTurnState.isMyTurn = false;
-  playerTurnState.phase = TURN_PHASES.START;
+export function endTurn(state) {
+  const seat = getNextSeat(state.currentSeat);
+  const result = startTurn(state, seat);
+  if (!result.ok) return result;
+
+  return { ok: true, seat };
+}
+
+/**
+ * End the deal; no more actions are accepted
+ * @param {Object} state - Game state
+ * @returns {Object} { ok: boolean, code?: string, message?: string }
+ */
+export function endDealTurn(state) {
+  return transitionTurn(state, TURN_PHASES.DEAL_OVER);
 }
 
 /**
  * Set the current phase
+ * Only moves listed in TURN_TRANSITIONS are allowed.
+ * @param {Object} state - Game state
  * @param {string} phase - Phase from TURN_PHASES
+ * @returns {Object} { ok: boolean, code?: string, message?: string }
+ */
+export function setPhase(state, phase) {
+  return transitionTurn(state, phase);
+}
+
+/**
+ * Check if it is a seat's turn
+ * @param {Object} state - Game state
+ * @param {number} seat
+ * @returns {boolean}
  */
-export function setPhase(phase) {
-  if (Object.values(TURN_PHASES).includes(phase)) {
-    playerTurnState.phase = phase;
+export function isSeatTurn(state, seat) {
+  return Boolean(state) && state.currentSeat === seat && state.turnPhase !== TURN_PHASES.DEAL_OVER;
+}
+
+/**
+ * Check if a seat may take an action now
+ * @param {Object} state - Game state
+ * @param {number} seat
+ * @param {string} action - Action from TURN_ACTIONS
+ * @returns {Object} { ok: boolean, code?: string, message?: string }
+ */
+export function checkTurnAction(state, seat, action) {
+  if (!state) {
+    return turnError(TURN_ERRORS.NO_GAME, 'No game is running');
+  }
+  if (state.turnPhase === TURN_PHASES.DEAL_OVER) {
+    return turnError(TURN_ERRORS.DEAL_OVER, 'The deal is over');
+  }
+  if (state.currentSeat !== seat) {
+    return turnError(TURN_ERRORS.NOT_YOUR_TURN, `It is seat ${state.currentSeat}'s turn`);
+  }
+  if (!ACTION_PHASES[action].includes(state.turnPhase)) {
+    return turnError(
+      TURN_ERRORS.WRONG_PHASE,
+      `Cannot ${ACTION_LABELS[action]} in phase ${state.turnPhase}`
+    );
   }
+  return { ok: true };
 }
 
 /**
  * Check if drawing from deck is allowed
+ * @param {Object} state - Game state
+ * @param {number} seat
  * @returns {boolean}
  */
-export function canDrawFromDeck() {
-  return playerTurnState.isMyTurn && playerTurnState.phase === TURN_PHASES.BEFORE_DRAW;
+export function canDrawFromDeck(state, seat) {
+  return checkTurnAction(state, seat, TURN_ACTIONS.DRAW).ok;
 }
 
 /**
  * Check if taking discard pile is allowed
+ * The pile must not be empty or blocked by a three for this seat.
+ * @param {Object} state - Game state
+ * @param {number} seat
  * @returns {boolean}
  */
-export function canTakeDiscardPile() {
-  return playerTurnState.isMyTurn && playerTurnState.phase === TURN_PHASES.BEFORE_DRAW;
+export function canTakeDiscardPile(state, seat) {
+  return checkTurnAction(state, seat, TURN_ACTIONS.TAKE_DISCARD).ok &&
+         getPileSize(state.discardPile) > 0 &&
+         !isPileBlockedFor(state.discardPile, seat);
 }
 
 /**
  * Check if melding is allowed
+ * @param {Object} state - Game state
+ * @param {number} seat
  * @returns {boolean}
  */
-export function canMeld() {
-  return playerTurnState.isMyTurn && 
-         (playerTurnState.phase === TURN_PHASES.AFTER_DRAW || 
-          playerTurnState.phase === TURN_PHASES.AFTER_TAKE_DISCARD);
+export function canMeld(state, seat) {
+  return checkTurnAction(state, seat, TURN_ACTIONS.MELD).ok;
 }
 
 /**
  * Check if discarding is allowed
+ * @param {Object} state - Game state
+ * @param {number} seat
  * @param {number} selectedCount - Number of selected cards
  * @returns {boolean}
  */
-export function canDiscard(selectedCount) {
-  return playerTurnState.isMyTurn && 
-         (playerTurnState.phase === TURN_PHASES.AFTER_DRAW || 
-          playerTurnState.phase === TURN_PHASES.AFTER_TAKE_DISCARD) &&
-         selectedCount === 1;
+export function canDiscard(state, seat, selectedCount) {
+  return checkTurnAction(state, seat, TURN_ACTIONS.DISCARD).ok && selectedCount === 1;
 }
@@ -3,24 +3,215 @@
  * Handles DOM initialization and updates for player interface
  */
 
-import { playerTurnState, canDrawFromDeck, canTakeDiscardPile, canMeld, canDiscard } from '../player/playerTurn.js';
-import { actionDrawFromDeck, actionTakeDiscardPile } from './playerActions.js';
-import { toggleSelected, playerHandState, getSelectedCount } from './playerHand.js';
+import { canDrawFromDeck, canTakeDiscardPile, canMeld, canDiscard } from '../player/playerTurn.js';
+import {
+  actionDrawFromDeck,
+  actionTakeDiscardPile,
+  actionMeldSelected,
+  actionAddToMeld,
+  actionDiscardSelected
+} from './playerActions.js';
+import {
+  toggleSelected,
+  playerHandState,
+  getSelectedCount,
+  getSelectedIds,
+  setSelection,
+  pruneSelection,
+  cycleSortMode,
+  moveCardsInHand,
+  SORT_LABELS
+} from './playerHand.js';
+import { initHandDrag, DROP_TARGETS } from './handDrag.js';
+import { getTeamOf, findCardsInHand } from '../domain/gameState.js';
+import { getGameState, setGameState, getLocalSeat, getActionLog } from './gameSession.js';
+import { appendRecord, canUndo, undoLastMeld } from './actionLog.js';
+import { STOCK_EVENTS } from '../domain/stock.js';
+import { findBlackThreesToLay } from '../domain/closing.js';
+import { validateNewMeld } from '../domain/melds.js';
+import { splitIntoMelds } from '../domain/meldSearch.js';
+import { showConfirmPrompt } from '../shared/ui/confirmPrompt.js';
 
 // Module-scoped variable to store current buttons for UI refresh
 let currentButtons = null;
 
+// Called after an action changed the game state (e.g. to re-render the hand)
+let onStateChange = () => {};
+
+// Called with the action result when the local player's action ends the deal
+let onDealOver = () => {};
+
 /**
  * Apply turn UI logic to buttons
  * Updates button disabled states based on current turn phase and capabilities
  */
-function applyTurnUI({btnDrawDeck, btnTakeDiscard, btnMeld, btnDiscard}) {
-  btnDrawDeck.disabled = !(playerTurnState.isMyTurn && canDrawFromDeck());
-  btnTakeDiscard.disabled = !(playerTurnState.isMyTurn && canTakeDiscardPile());
-  btnMeld.disabled = !(playerTurnState.isMyTurn && canMeld());
-  btnDiscard.disabled = !(playerTurnState.isMyTurn && canDiscard(getSelectedCount()));
+function applyTurnUI({btnDrawDeck, btnTakeDiscard, btnMeld, btnDiscard, btnUndo}) {
+  const state = getGameState();
+  const seat = getLocalSeat();
+  const log = getActionLog();
+  btnDrawDeck.disabled = !canDrawFromDeck(state, seat);
+  btnTakeDiscard.disabled = !canTakeDiscardPile(state, seat);
+  btnMeld.disabled = !canMeld(state, seat);
+  btnDiscard.disabled = !canDiscard(state, seat, getSelectedCount());
+  btnUndo.disabled = !(canUndo(log) && log.records[log.records.length - 1].seat === seat);
+
+  console.log('[player-ui]', 'phase=', state?.turnPhase, 'buttons updated');
+}
+
+/**
+ * Play the deck animation when the discard pile was recycled into the stock
+ * @param {Array} events - Events returned by the draw action
+ */
+function animateStockEvents(events = []) {
+  if (!events.some(event => event.type === STOCK_EVENTS.RECYCLED)) return;
+
+  const deckCard = document.querySelector('.deck-card');
+  if (!deckCard) return;
+
+  deckCard.classList.remove('deck-recycling');
+  // Force reflow so the animation restarts
+  void deckCard.offsetWidth;
+  deckCard.classList.add('deck-recycling');
+  deckCard.addEventListener('animationend', () => deckCard.classList.remove('deck-recycling'), { once: true });
+}
+
+/**
+ * Record a successful action in the log and let the page know
+ * @param {Object} result - Action result
+ */
+function commitAction(result) {
+  appendRecord(getActionLog(), result);
+  notifyStateChange();
+  if (result.dealOver) {
+    console.log('[player-ui]', 'deal over', result.closingType || 'without a closer');
+    onDealOver(result);
+  }
+}
+
+/**
+ * Let the page know an action changed the state
+ * Selected cards that left the hand are dropped from the selection first.
+ */
+function notifyStateChange() {
+  pruneSelection(getGameState().hands[getLocalSeat()]);
+  onStateChange(getGameState());
+}
+
+/**
+ * Discard the selected card
+ * Closing on minus is only done after the player confirms it. A player
+ * left with four black threes besides the discard is offered to go out
+ * by laying them down.
+ */
+async function discardSelected() {
+  const state = getGameState();
+  const seat = getLocalSeat();
+  const cardIds = getSelectedIds();
+
+  let layBlackThrees = false;
+  if (cardIds.length === 1 && findBlackThreesToLay(state, seat, cardIds[0])) {
+    layBlackThrees = await showConfirmPrompt({
+      title: 'Go out with four black threes?',
+      message: 'Lay down your four black threes and discard this card to close the deal (+2000).',
+      confirmLabel: 'Go out',
+      cancelLabel: 'Just discard'
+    });
+  }
 
-  console.log('[player-ui]', 'phase=', playerTurnState.phase, 'buttons updated');
+  let result = actionDiscardSelected(state, seat, cardIds, { layBlackThrees });
+  if (result.needsConfirmation) {
+    const confirmed = await showConfirmPrompt({
+      title: 'Close on minus?',
+      message: 'Your team has no canasta. Everything on the table counts as minus; only the +100 for closing counts as plus.',
+      confirmLabel: 'Close on minus',
+      cancelLabel: 'Keep playing'
+    });
+    if (!confirmed) return;
+    result = actionDiscardSelected(state, seat, cardIds, { confirmMinus: true, layBlackThrees });
+  }
+
+  if (!result.ok) {
+    console.warn('[player-ui]', result.code, result.message);
+    return;
+  }
+
+  commitAction(result);
+}
+
+/**
+ * Group the cards to meld into melds
+ * Cards that form one meld are laid in the order given; otherwise they
+ * are split into the melds they form together (e.g. two sets that only
+ * open together).
+ * @param {Object} state - Game state
+ * @param {number} seat
+ * @param {Array<string>} cardIds
+ * @returns {Array} cardIds, or one list of IDs per meld
+ */
+function groupMeldCards(state, seat, cardIds) {
+  const cards = findCardsInHand(state, seat, cardIds);
+  if (cards.length !== cardIds.length || validateNewMeld(cards).ok) return cardIds;
+
+  const melds = splitIntoMelds(cards);
+  return melds ? melds.map(meld => meld.cards.map(card => card.id)) : cardIds;
+}
+
+/**
+ * Apply the action a drop target stands for
+ * @param {Object} state - Game state (changed on success)
+ * @param {Object} target - Drop target { type, meldIndex? }
+ * @param {Array<string>} cardIds - Dropped cards
+ * @returns {Object} Action result
+ */
+function applyDrop(state, target, cardIds) {
+  const seat = getLocalSeat();
+  switch (target.type) {
+    case DROP_TARGETS.MELD:
+      return actionAddToMeld(state, seat, target.meldIndex, cardIds);
+    case DROP_TARGETS.NEW_MELD:
+      return actionMeldSelected(state, seat, groupMeldCards(state, seat, cardIds));
+    case DROP_TARGETS.DISCARD:
+      return actionDiscardSelected(state, seat, cardIds);
+    default:
+      return { ok: false, message: `Unknown drop target: ${target.type}` };
+  }
+}
+
+/**
+ * Check if cards may be dropped on a target
+ * The action is tried on a copy of the state; a minus close still counts
+ * as legal since the player is asked to confirm it on drop.
+ * @param {Object} target
+ * @param {Array<string>} cardIds
+ * @returns {boolean}
+ */
+function canDropCards(target, cardIds) {
+  const result = applyDrop(structuredClone(getGameState()), target, cardIds);
+  return result.ok || Boolean(result.needsConfirmation);
+}
+
+/**
+ * Play the dropped cards on a target
+ * The cards become the selection first, so a drop does the same as
+ * selecting them and pressing the matching button.
+ * @param {Object} target
+ * @param {Array<string>} cardIds
+ */
+async function dropCards(target, cardIds) {
+  setSelection(cardIds);
+
+  if (target.type === DROP_TARGETS.DISCARD) {
+    await discardSelected();
+  } else {
+    const result = applyDrop(getGameState(), target, cardIds);
+    if (result.ok) {
+      commitAction(result);
+    } else {
+      console.warn('[player-ui]', result.message);
+      notifyStateChange();
+    }
+  }
+  refreshUI(currentButtons);
 }
 
 /**
@@ -30,18 +221,39 @@ function refreshUI(buttons) {
   applyTurnUI(buttons);
 }
 
+/**
+ * Refresh the player UI after state changes made outside of it
+ * (e.g. the turn starting once the deal is done)
+ */
+export function refreshPlayerUI() {
+  if (currentButtons) {
+    refreshUI(currentButtons);
+  }
+}
+
 /**
  * Initialize player UI
  * Sets up DOM elements and event listeners
+ * @param {Object} options
+ * @param {Function} options.onStateChange - Called with the game state after each action
+ * @param {Function} options.onDealOver - Called with the action result when the player ends the deal
  */
-export function initPlayerUI() {
+export function initPlayerUI(options = {}) {
+  if (options.onStateChange) {
+    onStateChange = options.onStateChange;
+  }
+  if (options.onDealOver) {
+    onDealOver = options.onDealOver;
+  }
+
   console.log('Initializing player UI...');
   
   const buttons = {
     btnDrawDeck: document.getElementById('btnDrawDeck'),
     btnTakeDiscard: document.getElementById('btnTakeDiscard'),
     btnMeld: document.getElementById('btnMeld'),
-    btnDiscard: document.getElementById('btnDiscard')
+    btnDiscard: document.getElementById('btnDiscard'),
+    btnUndo: document.getElementById('btnUndo')
   };
 
   const missingButtons = Object.entries(buttons).filter(([key, value]) => !value).map(([key]) => key);
@@ -59,16 +271,65 @@ export function initPlayerUI() {
   // Attach click listeners
   buttons.btnDrawDeck.addEventListener('click', () => {
     if (buttons.btnDrawDeck.disabled) return;
-    const result = actionDrawFromDeck();
+    const result = actionDrawFromDeck(getGameState(), getLocalSeat());
+    animateStockEvents(result.events);
+    if (result.ok) commitAction(result);
     refreshUI(buttons);
   });
 
   buttons.btnTakeDiscard.addEventListener('click', () => {
     if (buttons.btnTakeDiscard.disabled) return;
-    const result = actionTakeDiscardPile();
+    const result = actionTakeDiscardPile(getGameState(), getLocalSeat(), getSelectedIds());
+    if (result.ok) {
+      commitAction(result);
+    } else {
+      console.warn('[player-ui]', result.message);
+    }
+    refreshUI(buttons);
+  });
+
+  buttons.btnMeld.addEventListener('click', () => {
+    if (buttons.btnMeld.disabled) return;
+    const state = getGameState();
+    const seat = getLocalSeat();
+    const result = actionMeldSelected(state, seat, groupMeldCards(state, seat, getSelectedIds()));
+    if (result.ok) {
+      commitAction(result);
+    } else {
+      console.warn('[player-ui]', result.message);
+    }
+    refreshUI(buttons);
+  });
+
+  buttons.btnDiscard.addEventListener('click', async () => {
+    if (buttons.btnDiscard.disabled) return;
+    await discardSelected();
     refreshUI(buttons);
   });
 
+  buttons.btnUndo.addEventListener('click', () => {
+    if (buttons.btnUndo.disabled) return;
+    const result = undoLastMeld(getActionLog());
+    if (result.ok) {
+      setGameState(result.state);
+      notifyStateChange();
+    } else {
+      console.warn('[player-ui]', result.message);
+    }
+    refreshUI(buttons);
+  });
+
+  // Sorting only changes the display order; the selection is kept
+  const btnSortHand = document.getElementById('btnSortHand');
+  if (btnSortHand) {
+    btnSortHand.addEventListener('click', () => {
+      const mode = cycleSortMode();
+      btnSortHand.textContent = `Sort: ${SORT_LABELS[mode]}`;
+      console.log('[hand]', 'sort=', mode);
+      notifyStateChange();
+    });
+  }
+
   // Attach event delegation for card selection in player's hand
   const playerHandContainer = document.getElementById('player-hand');
   if (playerHandContainer) {
@@ -94,6 +355,22 @@ export function initPlayerUI() {
         }
       }
     });
+
+    // Dragging plays the cards on a meld slot or the discard pile, or
+    // rearranges the hand; a dragged selected card takes the selection along
+    initHandDrag({
+      container: playerHandContainer,
+      getDragIds: cardId => (playerHandState.selectedIds.has(cardId) ? getSelectedIds() : [cardId]),
+      getMeldCount: () => getGameState().teams[getTeamOf(getLocalSeat())].melds.length,
+      canDrop: canDropCards,
+      onDrop: dropCards,
+      onReorder: (cardIds, beforeId) => {
+        moveCardsInHand(getGameState().hands[getLocalSeat()], cardIds, beforeId);
+        if (btnSortHand) btnSortHand.textContent = 'Sort';
+        console.log('[hand]', 'moved', cardIds.length, 'card(s)');
+        notifyStateChange();
+      }
+    });
   } else {
     console.warn('Player hand container (#player-hand) not found');
   }
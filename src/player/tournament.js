@@ -0,0 +1,243 @@
+/**
+ * Tournament
+ * Headless bot-vs-bot matches for comparing strategies. Deals run through
+ * the same action log as the game page, only without the DOM and without
+ * delays, so thousands of seeded matches finish in minutes.
+ *
+ * Each match seats one strategy per team; teams swap seats every other
+ * match so neither strategy keeps the first dealer's advantage.
+ *
+ * A deal nobody closes within MAX_DEAL_STEPS has no real score, so it
+ * calls the whole match off instead of adding made-up points to it.
+ */
+
+import { createMatch, startDeal, endDeal, getDealSeed, getFirstPlayer, MATCH_PHASES } from '../domain/match.js';
+import { getDeck } from '../domain/cardMapping.js';
+import { createRandom } from '../domain/random.js';
+import { shuffleDeck, cutForDealer } from '../domain/deck.js';
+import { createPreDeal, getBottomCards, keepBottomCards, dealAfterPreDeal } from '../domain/preDeal.js';
+import { getTeamOf } from '../domain/gameState.js';
+import { ACTION_TYPES, createActionRecord } from '../domain/actionRecords.js';
+import { createActionLog, createDealRecord, dispatchRecord, replayLog } from './actionLog.js';
+import { TURN_PHASES } from './playerTurn.js';
+import { playBotStep } from './botPlayer.js';
+
+// Steps after which a deal that nobody can close is called off (with its match)
+export const MAX_DEAL_STEPS = 3000;
+
+// Deals after which a match that nobody can win is called off
+export const MAX_MATCH_DEALS = 200;
+
+// Reported closing type of deals nobody closed because no card was left to draw
+export const EXHAUSTED = 'EXHAUSTED';
+
+/**
+ * Play one deal between the strategies at the table
+ * @param {Object} options
+ * @param {string} options.seed - Deal seed
+ * @param {number} options.dealer - Dealer's seat
+ * @param {Array} options.teamScores - Running match score per team
+ * @param {Array} options.seats - Strategy per seat
+ * @param {number} options.maxSteps
+ * @returns {Object} { ok: boolean, message?: string, score?: Object, closingType?: string|null,
+ *   closingTeam?: number|null, stalled?: boolean, steps?: number, rejected?: Array, log?: Object }
+ *   A stalled deal has no score.
+ *   where rejected counts the moves each team's strategy chose but the rules refused
+ */
+export function playHeadlessDeal({ seed, dealer, teamScores, seats, maxSteps = MAX_DEAL_STEPS }) {
+  const log = createActionLog({ dealer, teamScores });
+  const { state } = replayLog(log);
+
+  const preDeal = createPreDeal(shuffleDeck(getDeck(), createRandom(seed)), dealer);
+  const keptIds = seats[preDeal.firstPlayer].chooseBottomCards(getBottomCards(preDeal));
+  const choice = keepBottomCards(preDeal, keptIds || []);
+  if (!choice.ok) return choice;
+
+  const deal = dealAfterPreDeal(preDeal);
+  dispatchRecord(log, state, createDealRecord(deal));
+  const prePlay = dispatchRecord(log, state, createActionRecord(ACTION_TYPES.PRE_PLAY, null));
+  if (!prePlay.ok) return prePlay;
+
+  let steps = 0;
+  const rejected = [0, 0];
+  while (state.turnPhase !== TURN_PHASES.DEAL_OVER) {
+    if (steps >= maxSteps) {
+      return { ok: true, stalled: true, steps, rejected, log };
+    }
+
+    const seat = state.currentSeat;
+    const played = playBotStep(log, state, seats[seat]);
+    steps += 1;
+    if (!played || !played.result.ok) {
+      const strategy = seats[seat].name;
+      return { ok: false, message: `${strategy} could not play: ${played ? played.result.message : 'no action'}` };
+    }
+    if (played.rejected) rejected[getTeamOf(seat)] += 1;
+  }
+
+  const { score, closingType, closingSeat } = state.result;
+  const closingTeam = closingSeat === null ? null : getTeamOf(closingSeat);
+  return { ok: true, score, closingType, closingTeam, steps, rejected, log };
+}
+
+/**
+ * Play a whole match between two strategies
+ * @param {Object} options
+ * @param {string} options.seed - Match seed
+ * @param {Array} options.teams - Strategy per team ([team 0, team 1])
+ * @param {number} options.maxSteps - Step limit per deal
+ * @param {number} options.maxDeals - Deal limit per match
+ * @returns {Object} { ok: boolean, message?: string, winner?: number|null, stalled?: boolean, scores?: Array,
+ *   deals?: Array } where stalled tells that a stalled deal called the match off (it is not in deals)
+ */
+export function playHeadlessMatch({ seed, teams, maxSteps = MAX_DEAL_STEPS, maxDeals = MAX_MATCH_DEALS }) {
+  const { dealer } = cutForDealer(getDeck(), createRandom(seed));
+  const match = createMatch({ seed, firstDealer: dealer });
+  const seats = [0, 1, 2, 3].map(seat => teams[getTeamOf(seat)]);
+  const deals = [];
+
+  while (match.phase !== MATCH_PHASES.OVER) {
+    if (deals.length >= maxDeals) {
+      return { ok: true, winner: null, scores: [...match.scores], deals };
+    }
+
+    startDeal(match);
+    const deal = playHeadlessDeal({
+      seed: getDealSeed(match),
+      dealer: match.dealer,
+      teamScores: match.scores,
+      seats,
+      maxSteps
+    });
+    if (!deal.ok) {
+      return { ok: false, message: `Deal ${match.dealNumber} (first player ${getFirstPlayer(match)}): ${deal.message}` };
+    }
+    if (deal.stalled) {
+      return { ok: true, winner: null, stalled: true, scores: [...match.scores], deals };
+    }
+
+    deals.push({
+      totals: deal.score.teams.map(team => team.total),
+      closingType: deal.closingType,
+      closingTeam: deal.closingTeam,
+      steps: deal.steps,
+      rejected: deal.rejected
+    });
+    endDeal(match, deal.score);
+  }
+
+  return { ok: true, winner: match.winner, scores: [...match.scores], deals };
+}
+
+/**
+ * Create an empty tally for a strategy
+ * @param {string} name
+ * @returns {Object}
+ */
+function createTally(name) {
+  return { name, matches: 0, wins: 0, calledOff: 0, stalled: 0, deals: 0, dealPoints: 0, rejectedMoves: 0, closings: {} };
+}
+
+/**
+ * Play a series of seeded matches between two strategies
+ * A match a bot could not play on is left out of the tallies and listed
+ * in failures; the series goes on so every failure is found in one run.
+ * @param {Object} options
+ * @param {Array} options.strategies - The two strategies to compare
+ * @param {number} options.matches - Number of matches
+ * @param {string} options.seed - Base seed; match i uses `${seed}/${i}`
+ * @param {number} options.maxSteps - Step limit per deal
+ * @param {number} options.maxDeals - Deal limit per match
+ * @param {Function} options.onMatch - Called with (index, matchResult) after every match
+ * @returns {Object} { ok: boolean, message?: string, matches?: number, tallies?: Array, failures?: Array }
+ *   where failures are { index, message }
+ */
+export function runTournament({
+  strategies,
+  matches = 100,
+  seed = 'tournament',
+  maxSteps = MAX_DEAL_STEPS,
+  maxDeals = MAX_MATCH_DEALS,
+  onMatch = () => {}
+}) {
+  if (!strategies || strategies.length !== 2) {
+    return { ok: false, message: 'A tournament needs exactly two strategies' };
+  }
+
+  const tallies = strategies.map(strategy => createTally(strategy.name));
+  const failures = [];
+
+  for (let index = 0; index < matches; index++) {
+    // Every other match the strategies swap teams (and so seats)
+    const order = index % 2 === 0 ? [0, 1] : [1, 0];
+    const result = playHeadlessMatch({
+      seed: `${seed}/${index}`,
+      teams: order.map(entry => strategies[entry]),
+      maxSteps,
+      maxDeals
+    });
+    if (!result.ok) {
+      failures.push({ index, message: result.message });
+      onMatch(index, result);
+      continue;
+    }
+
+    order.forEach((entry, team) => {
+      const tally = tallies[entry];
+      tally.matches += 1;
+      if (result.winner === team) tally.wins += 1;
+      if (result.stalled) tally.stalled += 1;
+      else if (result.winner === null) tally.calledOff += 1;
+
+      result.deals.forEach((deal) => {
+        tally.deals += 1;
+        tally.dealPoints += deal.totals[team];
+        tally.rejectedMoves += deal.rejected[team];
+        if (deal.closingTeam === team || deal.closingType === null) {
+          const type = deal.closingType || EXHAUSTED;
+          tally.closings[type] = (tally.closings[type] || 0) + 1;
+        }
+      });
+    });
+
+    onMatch(index, result);
+  }
+
+  return { ok: true, matches, tallies, failures };
+}
+
+/**
+ * Format tournament tallies as a plain-text report
+ * Closings count the deals a strategy closed (PLUS / MINUS) plus the
+ * deals it sat in that ran out of cards (EXHAUSTED). Matches called off
+ * by a stalled deal are counted apart from those that hit MAX_MATCH_DEALS.
+ * @param {Object} tournament - Result of runTournament
+ * @returns {string}
+ */
+export function formatTournamentReport({ matches, tallies, failures = [] }) {
+  const percent = (count, total) => `${total > 0 ? ((100 * count) / total).toFixed(1) : '0.0'}%`;
+  const failed = failures.length > 0 ? ` (${failures.length} failed)` : '';
+  const lines = [`${matches - failures.length} matches${failed}`];
+
+  tallies.forEach((tally) => {
+    const average = tally.deals > 0 ? Math.round(tally.dealPoints / tally.deals) : 0;
+    const closings = Object.entries(tally.closings)
+      .map(([type, count]) => `${type} ${count} (${percent(count, tally.deals)})`)
+      .join(', ');
+
+    lines.push('');
+    lines.push(`${tally.name}`);
+    lines.push(`  win rate:        ${percent(tally.wins, tally.matches)} (${tally.wins}/${tally.matches}, ${tally.calledOff} called off, ${tally.stalled} stalled)`);
+    lines.push(`  avg deal score:  ${average} over ${tally.deals} deals`);
+    lines.push(`  closings:        ${closings || 'none'}`);
+    lines.push(`  rejected moves:  ${tally.rejectedMoves} (fell back to a plain draw or discard)`);
+  });
+
+  if (failures.length > 0) {
+    lines.push('');
+    lines.push('failed matches (a bot could not make a legal move)');
+    failures.forEach(({ index, message }) => lines.push(`  match ${index}: ${message}`));
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,63 @@
+/**
+ * Bottom Cards Prompt
+ * Lets the first player pick which of the bottom 3 cards to keep
+ */
+
+import { createCardElement } from './cardDisplay.js';
+
+/**
+ * Show the prompt and wait for the player's choice
+ * @param {Array} cards - The bottom cards
+ * @returns {Promise<Array>} Resolves with the IDs of the kept cards
+ */
+export function showBottomCardsPrompt(cards) {
+  return new Promise((resolve) => {
+    const kept = new Set();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'prompt-overlay';
+
+    const dialog = document.createElement('div');
+    dialog.className = 'prompt-dialog bottom-cards-prompt';
+    dialog.setAttribute('role', 'dialog');
+
+    const title = document.createElement('h2');
+    title.className = 'prompt-title';
+    title.textContent = 'Bottom cards';
+
+    const hint = document.createElement('p');
+    hint.className = 'prompt-hint';
+    hint.textContent = 'Select the cards you want to keep. The rest go back to their places.';
+
+    const cardRow = document.createElement('div');
+    cardRow.className = 'prompt-cards';
+
+    cards.forEach((card) => {
+      const cardEl = createCardElement(card, {
+        className: 'prompt-card',
+        onClick: () => {
+          if (kept.has(card.id)) {
+            kept.delete(card.id);
+          } else {
+            kept.add(card.id);
+          }
+          cardEl.classList.toggle('card-selected', kept.has(card.id));
+        }
+      });
+      cardRow.appendChild(cardEl);
+    });
+
+    const confirmButton = document.createElement('button');
+    confirmButton.type = 'button';
+    confirmButton.className = 'prompt-button';
+    confirmButton.textContent = 'Keep selected';
+    confirmButton.addEventListener('click', () => {
+      overlay.remove();
+      resolve(Array.from(kept));
+    });
+
+    dialog.append(title, hint, cardRow, confirmButton);
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+  });
+}
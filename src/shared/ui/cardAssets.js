@@ -0,0 +1,39 @@
+/**
+ * Card Assets
+ * Maps card objects to the vector card images (Version 3.2)
+ */
+
+import { JOKER } from '../../domain/cardMapping.js';
+
+/**
+ * Get SVG path for a card
+ * @param {string} suit - HEART, DIAMOND, CLUB, SPADE, or JOKER
+ * @param {number} rank - 1-13 or joker number (1, 2, 3)
+ * @returns {string} - Path to SVG file
+ */
+export function getCardSvgPath(suit, rank) {
+  const BASE_PATH = '/assets/cards/vector_cards/FACES (PRINTABLE)/STANDARD (PRINTABLE)/Single Cards (One Per FIle)';
+  
+  if (suit === JOKER) {
+    return `${BASE_PATH}/JOKER-${rank}.svg`;
+  }
+  
+  const rankNames = {
+    1: '1',
+    2: '2',
+    3: '3',
+    4: '4',
+    5: '5',
+    6: '6',
+    7: '7',
+    8: '8',
+    9: '9',
+    10: '10',
+    11: '11-JACK',
+    12: '12-QUEEN',
+    13: '13-KING'
+  };
+  
+  const fileName = `${suit}-${rankNames[rank]}.svg`;
+  return `${BASE_PATH}/${fileName}`;
+}
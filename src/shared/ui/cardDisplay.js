@@ -3,7 +3,8 @@
  * Displays SVG cards in the game UI
  */
 
-import { getCardSvgPath } from '../../domain/cardMapping.js';
+import { getCardSvgPath } from './cardAssets.js';
+import { classifyMeld } from '../../domain/canasta.js';
 
 /**
  * Create an img element for a card
@@ -13,7 +14,7 @@ import { getCardSvgPath } from '../../domain/cardMapping.js';
  */
 export function createCardElement(card, options = {}) {
   const img = document.createElement('img');
-  img.src = card.svgPath || getCardSvgPath(card.suit, card.rank);
+  img.src = getCardSvgPath(card.suit, card.rank);
   img.alt = `${card.suit} ${card.rank}`;
   img.className = `card-img ${options.className || ''}`;
   
@@ -300,9 +301,19 @@ export function createHandDisplay(cards, options = {}) {
   return container;
 }
 
+/**
+ * Get the CSS modifier class for a meld kind (e.g. CLEAN_CANASTA -> meld-kind-clean-canasta)
+ * @param {string} kind - One of MELD_KINDS
+ * @returns {string}
+ */
+export function getMeldKindClass(kind) {
+  return `meld-kind-${kind.toLowerCase().replace(/_/g, '-')}`;
+}
+
 /**
  * Create a meld display (cards stacked/grouped)
- * @param {array} melds - Array of meld arrays
+ * Canastas get a kind class so clean, dirty and wild canastas look different.
+ * @param {array} melds - Array of meld objects ({ type, cards }) or card arrays
  * @param {object} options - Optional configuration
  * @returns {HTMLElement} - div container with meld groups
  */
@@ -311,10 +322,14 @@ export function createMeldDisplay(melds, options = {}) {
   container.className = 'meld-display';
   
   melds.forEach((meld, meldIndex) => {
+    const meldObject = Array.isArray(meld) ? { cards: meld } : meld;
+    const { kind, isCanasta } = classifyMeld(meldObject);
+
     const meldGroup = document.createElement('div');
-    meldGroup.className = 'meld-group';
+    meldGroup.className = `meld-group ${getMeldKindClass(kind)}${isCanasta ? ' is-canasta' : ''}`;
+    meldGroup.dataset.meldKind = kind;
     
-    meld.forEach((card) => {
+    meldObject.cards.forEach((card) => {
       const cardEl = createCardElement(card, {
         className: 'meld-card',
         width: options.width || '50px'
@@ -0,0 +1,57 @@
+/**
+ * Confirm Prompt
+ * Asks the player a yes/no question in the game's prompt overlay
+ */
+
+/**
+ * Show the prompt and wait for the player's answer
+ * @param {Object} options
+ * @param {string} options.title - Dialog title
+ * @param {string} options.message - Question shown to the player
+ * @param {string} options.confirmLabel - Text of the confirm button
+ * @param {string} options.cancelLabel - Text of the cancel button
+ * @returns {Promise<boolean>} Resolves with true when the player confirms
+ */
+export function showConfirmPrompt({ title, message, confirmLabel = 'OK', cancelLabel = 'Cancel' }) {
+  return new Promise((resolve) => {
+    const overlay = document.createElement('div');
+    overlay.className = 'prompt-overlay';
+
+    const dialog = document.createElement('div');
+    dialog.className = 'prompt-dialog confirm-prompt';
+    dialog.setAttribute('role', 'dialog');
+
+    const titleEl = document.createElement('h2');
+    titleEl.className = 'prompt-title';
+    titleEl.textContent = title;
+
+    const hint = document.createElement('p');
+    hint.className = 'prompt-hint';
+    hint.textContent = message;
+
+    const actions = document.createElement('div');
+    actions.className = 'prompt-actions';
+
+    const answer = (value) => {
+      overlay.remove();
+      resolve(value);
+    };
+
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.className = 'prompt-button prompt-button-secondary';
+    cancelButton.textContent = cancelLabel;
+    cancelButton.addEventListener('click', () => answer(false));
+
+    const confirmButton = document.createElement('button');
+    confirmButton.type = 'button';
+    confirmButton.className = 'prompt-button';
+    confirmButton.textContent = confirmLabel;
+    confirmButton.addEventListener('click', () => answer(true));
+
+    actions.append(cancelButton, confirmButton);
+    dialog.append(titleEl, hint, actions);
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+  });
+}
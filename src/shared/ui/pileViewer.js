@@ -0,0 +1,60 @@
+/**
+ * Pile Viewer
+ * Shows every card of the discard pile in the game's prompt overlay.
+ * Players may know what they would be taking, so the whole pile is open.
+ */
+
+import { createCardElement } from './cardDisplay.js';
+
+/**
+ * Show the pile and wait until the player closes the viewer
+ * @param {Object} options
+ * @param {Array} options.cards - Pile cards, bottom first
+ * @param {string} options.note - Optional line under the title (e.g. the block)
+ * @returns {Promise<void>} Resolves when the viewer is closed
+ */
+export function showPileViewer({ cards, note = '' }) {
+  return new Promise((resolve) => {
+    const overlay = document.createElement('div');
+    overlay.className = 'prompt-overlay';
+
+    const dialog = document.createElement('div');
+    dialog.className = 'prompt-dialog pile-viewer';
+    dialog.setAttribute('role', 'dialog');
+
+    const title = document.createElement('h2');
+    title.className = 'prompt-title';
+    title.textContent = `Discard pile (${cards.length})`;
+
+    const hint = document.createElement('p');
+    hint.className = 'prompt-hint';
+    hint.textContent = note || (cards.length > 0 ? 'Top card first.' : 'The pile is empty.');
+
+    // Top card first, the order they would be picked up in
+    const cardRow = document.createElement('div');
+    cardRow.className = 'pile-viewer-cards';
+    [...cards].reverse().forEach((card) => {
+      cardRow.appendChild(createCardElement(card, { className: 'pile-viewer-card' }));
+    });
+
+    const close = () => {
+      overlay.remove();
+      resolve();
+    };
+
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'prompt-button';
+    closeButton.textContent = 'Close';
+    closeButton.addEventListener('click', close);
+
+    // Clicking next to the dialog closes it as well
+    overlay.addEventListener('click', (event) => {
+      if (event.target === overlay) close();
+    });
+
+    dialog.append(title, hint, cardRow, closeButton);
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+  });
+}
@@ -0,0 +1,62 @@
+/**
+ * Bot Tournament Runner
+ * Plays seeded bot-vs-bot matches headless in Node and prints win rates,
+ * average deal scores and closing types per strategy.
+ *
+ * Usage:
+ *   npm run tournament -- [--matches 1000] [--seed name] [--teams heuristic,greedy]
+ *
+ * Strategies are looked up by name in src/player/botStrategies.js.
+ * The run exits non-zero when a match failed because a bot was stuck.
+ */
+
+import { STRATEGIES, getStrategy } from '../src/player/botStrategies.js';
+import { runTournament, formatTournamentReport } from '../src/player/tournament.js';
+
+/**
+ * Read --name value pairs from the command line
+ * @param {Array<string>} args
+ * @returns {Object}
+ */
+function parseArgs(args) {
+  const options = {};
+  for (let index = 0; index < args.length; index += 2) {
+    options[args[index].replace(/^--/, '')] = args[index + 1];
+  }
+  return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+const matches = Number(options.matches ?? 100);
+const names = (options.teams ?? 'heuristic,greedy').split(',');
+const strategies = names.map(getStrategy);
+
+if (!Number.isInteger(matches) || matches < 1) {
+  console.error('--matches must be a positive whole number');
+  process.exit(1);
+}
+if (strategies.length !== 2 || strategies.includes(null)) {
+  console.error(`--teams needs two of: ${Object.keys(STRATEGIES).join(', ')}`);
+  process.exit(1);
+}
+
+const progressStep = Math.max(1, Math.floor(matches / 10));
+const result = runTournament({
+  strategies,
+  matches,
+  seed: options.seed ?? 'tournament',
+  onMatch: (index) => {
+    if ((index + 1) % progressStep === 0) console.error(`[tournament] ${index + 1}/${matches} matches`);
+  }
+});
+
+if (!result.ok) {
+  console.error('[tournament]', result.message);
+  process.exit(1);
+}
+console.log(formatTournamentReport(result));
+
+if (result.failures.length > 0) {
+  console.error(`[tournament] ${result.failures.length} matches failed`);
+  process.exit(1);
+}